@@ -0,0 +1,833 @@
+// Quiz Editor - Build quizData through forms, preview it with the real QuizEngine and export it
+// Used by editor.html; the preview runs quiz-engine.js inside an iframe so every render is a fresh engine
+class QuizEditor {
+    constructor() {
+        this.validator = new QuizValidator();
+        this.converter = new QuizConverter();
+        this.importReport = []; // What the last GIFT/Aiken/CSV import couldn't convert
+        this.quizData = this.createEmptyQuiz();
+        this.selectedIndex = 0;
+        this.validation = { errors: [], warnings: [] };
+        this.refreshTimeout = null;
+        this.templateHtml = null; // Prompts/quiz-template.html, fetched on the first HTML export
+
+        // Which per-question options matter for each type (richText applies to all of them)
+        this.optionsByType = {
+            'multiple-choice': ['shuffleAnswers'],
+            'multiple-answer': ['shuffleAnswers', 'scoringPolicy'],
+            'true-false': ['shuffleAnswers'],
+            'identification': ['caseSensitive', 'normalizeWhitespace', 'ignorePunctuation', 'ignoreArticles', 'foldPlurals', 'typoTolerance'],
+            'enumeration': ['caseSensitive', 'orderSensitive', 'normalizeWhitespace', 'ignorePunctuation', 'ignoreArticles', 'foldPlurals', 'typoTolerance', 'scoringPolicy'],
+            'cloze': ['caseSensitive', 'normalizeWhitespace', 'ignorePunctuation', 'ignoreArticles', 'foldPlurals', 'typoTolerance', 'scoringPolicy'],
+            'matching': ['shuffleChoices', 'shuffleMatches', 'unequalList', 'scoringPolicy'],
+            'ordering': ['scoringPolicy'],
+            'numeric': []
+        };
+
+        this.init();
+    }
+
+    init() {
+        document.getElementById('newQuestionType').innerHTML = this.validator.questionTypes
+            .map(type => `<option value="${type}">${this.getTypeLabel(type)}</option>`)
+            .join('');
+
+        this.setupEventListeners();
+        this.renderAll();
+    }
+
+    createEmptyQuiz() {
+        return {
+            title: 'Untitled Quiz',
+            description: '',
+            options: {},
+            questions: [this.createQuestion('multiple-choice')]
+        };
+    }
+
+    // A blank question of the given type with just the fields the engine needs
+    createQuestion(type) {
+        const question = { type, question: '' };
+        switch (type) {
+            case 'multiple-choice':
+                question.options = ['', ''];
+                question.correctAnswer = 0;
+                break;
+            case 'multiple-answer':
+                question.options = ['', '', ''];
+                question.correctAnswer = [];
+                break;
+            case 'true-false':
+                question.correctAnswer = true;
+                break;
+            case 'identification':
+                question.correctAnswer = '';
+                break;
+            case 'enumeration':
+                question.correctAnswer = [''];
+                break;
+            case 'numeric':
+                question.correctAnswer = 0;
+                break;
+            case 'cloze':
+                question.question = 'The {{answer}} goes in the braces.';
+                break;
+            case 'ordering':
+                question.items = ['', ''];
+                break;
+            case 'matching':
+                question.items = ['', ''];
+                question.matches = ['', ''];
+                question.correctMatches = {};
+                break;
+        }
+        return question;
+    }
+
+    getTypeLabel(type) {
+        return QuizEngine.prototype.getQuestionTypeLabel(type);
+    }
+
+    escapeHtml(text) {
+        return QuizEngine.prototype.escapeHtml(text ?? '');
+    }
+
+    getSelectedQuestion() {
+        return this.quizData.questions[this.selectedIndex];
+    }
+
+    // ---- Rendering ----
+
+    renderAll() {
+        this.renderQuizSettings();
+        this.renderQuestionForm();
+        this.refresh(); // Also redraws the question list with fresh error counts
+    }
+
+    renderQuizSettings() {
+        const quiz = this.quizData;
+        const quizOptions = { ...this.validator.optionTypes, ...this.validator.quizOptionTypes };
+        // pool is a nested object; it is kept from imported files but edited by hand in the JSON
+        delete quizOptions.pool;
+
+        document.getElementById('quizSettings').innerHTML = `
+            ${this.renderTextField('Title', 'quiz', 'title', quiz.title)}
+            ${this.renderTextField('Id (file name, optional)', 'quiz', 'id', quiz.id, 'e.g. MQ1OS')}
+            ${this.renderTextArea('Description', 'quiz', 'description', quiz.description)}
+            <details class="editor-options">
+                <summary>Quiz options</summary>
+                ${Object.entries(quizOptions).map(([name, type]) =>
+                    this.renderOptionField('quizOption', name, type, quiz.options?.[name])).join('')}
+            </details>
+        `;
+    }
+
+    renderQuestionList() {
+        const errorCounts = {};
+        this.validation.errors.forEach(entry => {
+            if (entry.questionIndex !== null) errorCounts[entry.questionIndex] = (errorCounts[entry.questionIndex] || 0) + 1;
+        });
+
+        document.getElementById('questionList').innerHTML = this.quizData.questions.map((question, index) => {
+            const text = (question.question || '').replace(/\s+/g, ' ').trim();
+            const errors = errorCounts[index + 1];
+            return `
+                <li class="editor-question-item ${index === this.selectedIndex ? 'selected' : ''}">
+                    <button type="button" class="editor-question-select" data-action="select" data-index="${index}">
+                        <span class="question-type">${this.getTypeLabel(question.type)}</span>
+                        ${errors ? `<span class="editor-error-count">✗ ${errors}</span>` : ''}
+                        <span class="editor-question-text">${this.escapeHtml(text.length > 70 ? `${text.slice(0, 70)}…` : text || '(no question text yet)')}</span>
+                    </button>
+                    <span class="editor-question-actions">
+                        <button type="button" class="ordering-move" data-action="moveQuestion" data-index="${index}" data-direction="-1" aria-label="Move up" ${index === 0 ? 'disabled' : ''}>▲</button>
+                        <button type="button" class="ordering-move" data-action="moveQuestion" data-index="${index}" data-direction="1" aria-label="Move down" ${index === this.quizData.questions.length - 1 ? 'disabled' : ''}>▼</button>
+                        <button type="button" class="ordering-move" data-action="duplicateQuestion" data-index="${index}" aria-label="Duplicate">⧉</button>
+                        <button type="button" class="ordering-move" data-action="deleteQuestion" data-index="${index}" aria-label="Delete">✕</button>
+                    </span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    renderQuestionForm() {
+        const question = this.getSelectedQuestion();
+        const form = document.getElementById('questionForm');
+        if (!question) {
+            document.getElementById('questionFormTitle').textContent = 'Question';
+            form.innerHTML = '<p class="editor-hint">Add a question to start.</p>';
+            return;
+        }
+
+        document.getElementById('questionFormTitle').textContent =
+            `Question ${this.selectedIndex + 1} · ${this.getTypeLabel(question.type)}`;
+
+        const isCloze = question.type === 'cloze';
+        const relevantOptions = [...(this.optionsByType[question.type] || []), 'richText', 'hintPenalty', 'autoSubmit', 'maxAttempts'];
+
+        form.innerHTML = `
+            <div class="editor-field">
+                <label>Type
+                    <select class="text-input" data-scope="question" data-field="type">
+                        ${this.validator.questionTypes.map(type =>
+                            `<option value="${type}" ${type === question.type ? 'selected' : ''}>${this.getTypeLabel(type)}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+            ${isCloze ? this.renderTextField('Instructions (optional)', 'question', 'instructions', question.instructions, 'Fill in the blanks.') : ''}
+            ${this.renderTextArea(isCloze ? 'Sentence — wrap each blank in {{ }}, alternatives with |' : 'Question', 'question', 'question', question.question)}
+            ${this.renderAnswerFields(question)}
+            <div class="editor-field-row">
+                ${this.renderTextField('Points', 'question', 'points', question.points, '1', 'number')}
+                ${this.renderTextField('Topic (optional)', 'question', 'topic', question.topic)}
+            </div>
+            ${this.renderTextArea('Hint (shown on a wrong answer)', 'question', 'hint', question.hint)}
+            ${this.renderTextArea('Hints (one per line, revealed in order by Show hint, each costs hintPenalty)', 'question', 'hints', (question.hints || []).join('\n'))}
+            ${this.renderTextArea('Explanation (shown on a right answer and in the answer key)', 'question', 'explanation', question.explanation)}
+            <details class="editor-options">
+                <summary>Question options (override the quiz options)</summary>
+                ${relevantOptions.map(name => this.renderOptionField('questionOption', name,
+                    this.validator.optionTypes[name], question.questionOptions?.[name], true)).join('')}
+            </details>
+        `;
+    }
+
+    // The part of the form that holds the correct answer differs per type
+    renderAnswerFields(question) {
+        switch (question.type) {
+            case 'multiple-choice':
+            case 'multiple-answer': {
+                const isSingle = question.type === 'multiple-choice';
+                const correct = isSingle ? [question.correctAnswer] : (question.correctAnswer || []);
+                return `
+                    <div class="editor-field">
+                        <span class="editor-label">Options — tick the correct ${isSingle ? 'one' : 'ones'}</span>
+                        ${(question.options || []).map((option, index) => `
+                            <div class="editor-row">
+                                <input type="${isSingle ? 'radio' : 'checkbox'}" name="editorCorrect" data-scope="question"
+                                       data-field="correctOption" data-index="${index}" ${correct.includes(index) ? 'checked' : ''}
+                                       aria-label="Option ${index + 1} is correct">
+                                <input type="text" class="text-input" data-scope="question" data-field="option" data-index="${index}"
+                                       value="${this.escapeHtml(option)}" placeholder="Option ${index + 1}">
+                                <button type="button" class="ordering-move" data-action="removeRow" data-list="options" data-index="${index}" aria-label="Remove option">✕</button>
+                            </div>
+                        `).join('')}
+                        <button type="button" class="nav-button editor-small-button" data-action="addRow" data-list="options">+ Add option</button>
+                    </div>
+                `;
+            }
+            case 'true-false':
+                return `
+                    <div class="editor-field">
+                        <label>Correct answer
+                            <select class="text-input" data-scope="question" data-field="trueFalse">
+                                <option value="true" ${question.correctAnswer ? 'selected' : ''}>True</option>
+                                <option value="false" ${question.correctAnswer ? '' : 'selected'}>False</option>
+                            </select>
+                        </label>
+                    </div>
+                `;
+            case 'identification': {
+                const answers = Array.isArray(question.correctAnswer) ? question.correctAnswer : [question.correctAnswer ?? ''];
+                return this.renderTextArea('Accepted answers — one per line', 'question', 'acceptedAnswers', answers.join('\n'));
+            }
+            case 'enumeration': {
+                const lines = (question.correctAnswer || []).map(answer => Array.isArray(answer) ? answer.join(' | ') : answer);
+                return this.renderTextArea('Answers — one per line, alternatives separated by |', 'question', 'enumerationAnswers', lines.join('\n'));
+            }
+            case 'ordering':
+                return this.renderTextArea('Items — one per line, in the correct order (learners see them shuffled)', 'question', 'orderingItems', (question.items || []).join('\n'));
+            case 'numeric': {
+                const units = question.unit === undefined ? [] : [].concat(question.unit);
+                return `
+                    <div class="editor-field-row">
+                        ${this.renderTextField('Correct answer (number or fraction)', 'question', 'numericAnswer', question.correctAnswer, 'e.g. 6.5 or 13/2')}
+                        ${this.renderTextField('Units (comma separated)', 'question', 'units', units.join(', '), 'e.g. ms, milliseconds')}
+                    </div>
+                    <div class="editor-field-row">
+                        ${this.renderTextField('Tolerance (±)', 'question', 'tolerance', question.tolerance, '0', 'number')}
+                        ${this.renderTextField('Relative tolerance (0.05 = 5%)', 'question', 'relativeTolerance', question.relativeTolerance, '0', 'number')}
+                    </div>
+                    <label class="editor-check">
+                        <input type="checkbox" data-scope="question" data-field="requireUnit" ${question.requireUnit ? 'checked' : ''}>
+                        Require the unit
+                    </label>
+                `;
+            }
+            case 'matching':
+                return `
+                    <div class="editor-field">
+                        <span class="editor-label">Pairs — leave one side empty for a distractor</span>
+                        ${this.getMatchingPairs(question).map((pair, index) => `
+                            <div class="editor-row">
+                                <input type="text" class="text-input" data-scope="question" data-field="pairItem" data-index="${index}"
+                                       value="${this.escapeHtml(pair.item)}" placeholder="Item">
+                                <span aria-hidden="true">→</span>
+                                <input type="text" class="text-input" data-scope="question" data-field="pairMatch" data-index="${index}"
+                                       value="${this.escapeHtml(pair.match)}" placeholder="Match">
+                                <button type="button" class="ordering-move" data-action="removeRow" data-list="pairs" data-index="${index}" aria-label="Remove pair">✕</button>
+                            </div>
+                        `).join('')}
+                        <button type="button" class="nav-button editor-small-button" data-action="addRow" data-list="pairs">+ Add pair</button>
+                    </div>
+                `;
+            default:
+                return '';
+        }
+    }
+
+    renderTextField(label, scope, field, value, placeholder = '', inputType = 'text') {
+        return `
+            <div class="editor-field">
+                <label>${label}
+                    <input type="${inputType}" class="text-input" data-scope="${scope}" data-field="${field}"
+                           value="${this.escapeHtml(value)}" placeholder="${this.escapeHtml(placeholder)}" ${inputType === 'number' ? 'step="any" min="0"' : ''}>
+                </label>
+            </div>
+        `;
+    }
+
+    renderTextArea(label, scope, field, value) {
+        return `
+            <div class="editor-field">
+                <label>${label}
+                    <textarea class="text-input" rows="3" data-scope="${scope}" data-field="${field}">${this.escapeHtml(value)}</textarea>
+                </label>
+            </div>
+        `;
+    }
+
+    // Booleans and fixed-value options are selects; with canInherit an empty choice leaves the quiz default in charge
+    renderOptionField(scope, name, type, value, canInherit = false) {
+        const values = type === 'boolean' ? ['true', 'false'] : this.validator.optionValues[name];
+        let control;
+        if (values) {
+            const emptyLabel = canInherit ? 'Quiz default' : 'Default';
+            control = `
+                <select class="text-input" data-scope="${scope}" data-field="${name}" data-type="${type}">
+                    <option value="">${emptyLabel}</option>
+                    ${values.map(option => `<option value="${option}" ${String(value) === option ? 'selected' : ''}>${option}</option>`).join('')}
+                </select>
+            `;
+        } else {
+            control = `
+                <input type="${type === 'number' ? 'number' : 'text'}" class="text-input" data-scope="${scope}" data-field="${name}"
+                       data-type="${type}" value="${this.escapeHtml(value)}" placeholder="${canInherit ? 'Quiz default' : 'Default'}"
+                       ${type === 'number' ? 'step="any" min="0"' : ''}>
+            `;
+        }
+        return `<div class="editor-option"><label>${name}${control}</label></div>`;
+    }
+
+    // ---- Matching pairs ----
+
+    // The editor keeps items[i] paired with matches[i]; other files are paired up through correctMatches,
+    // with leftover items/matches becoming one-sided distractor rows
+    getMatchingPairs(question) {
+        const items = [...(question.items || [])];
+        const matches = [...(question.matches || [])];
+        const correctMatches = question.correctMatches || {};
+        const rowCount = Math.max(items.length, matches.length);
+        const isAligned = Object.entries(correctMatches).every(([match, item]) =>
+            matches.indexOf(match) !== -1 && matches.indexOf(match) === items.indexOf(item)) &&
+            items.every((item, i) => !item.trim() || !matches[i]?.trim() || correctMatches[matches[i]] === item);
+        if (isAligned) {
+            return Array.from({ length: rowCount }, (_, i) => ({ item: items[i] ?? '', match: matches[i] ?? '' }));
+        }
+
+        const pairs = [];
+
+        Object.entries(correctMatches).forEach(([match, item]) => {
+            pairs.push({ item, match });
+            if (items.includes(item)) items.splice(items.indexOf(item), 1);
+            if (matches.includes(match)) matches.splice(matches.indexOf(match), 1);
+        });
+        while (items.length > 0 || matches.length > 0) {
+            pairs.push({ item: items.shift() ?? '', match: matches.shift() ?? '' });
+        }
+        return pairs;
+    }
+
+    setMatchingPairs(question, pairs) {
+        question.items = pairs.map(pair => pair.item);
+        question.matches = pairs.map(pair => pair.match);
+        question.correctMatches = {};
+        pairs.forEach(pair => {
+            if (pair.item.trim() && pair.match.trim()) question.correctMatches[pair.match] = pair.item;
+        });
+    }
+
+    // Drop the empty sides of distractor rows so exported data has no blank items or matches
+    getExportQuestion(question) {
+        const copy = JSON.parse(JSON.stringify(question));
+        if (copy.type === 'matching') {
+            copy.items = copy.items.filter(item => item.trim() !== '');
+            copy.matches = copy.matches.filter(match => match.trim() !== '');
+        }
+        if (copy.questionOptions && Object.keys(copy.questionOptions).length === 0) {
+            delete copy.questionOptions;
+        }
+        return copy;
+    }
+
+    getExportData() {
+        const data = JSON.parse(JSON.stringify(this.quizData));
+        if (!data.id) delete data.id;
+        data.questions = this.quizData.questions.map(question => this.getExportQuestion(question));
+        return data;
+    }
+
+    // ---- Editing ----
+
+    setupEventListeners() {
+        document.addEventListener('input', (e) => this.onFieldChange(e.target, false));
+        document.addEventListener('change', (e) => {
+            if (e.target.id === 'importInput') {
+                this.importFile(e.target.files[0]);
+                e.target.value = '';
+                return;
+            }
+            this.onFieldChange(e.target, true);
+        });
+
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+
+            if (button.id === 'newQuizBtn') this.newQuiz();
+            if (button.id === 'addQuestionBtn') this.addQuestion(document.getElementById('newQuestionType').value);
+            if (button.id === 'exportJsonBtn') this.exportJson();
+            if (button.id === 'exportHtmlBtn') this.exportHtml();
+
+            const index = parseInt(button.dataset.index);
+            switch (button.dataset.action) {
+                case 'select':
+                    this.selectedIndex = index;
+                    this.renderAll();
+                    break;
+                case 'moveQuestion':
+                    this.moveQuestion(index, parseInt(button.dataset.direction));
+                    break;
+                case 'duplicateQuestion':
+                    this.quizData.questions.splice(index + 1, 0, JSON.parse(JSON.stringify(this.quizData.questions[index])));
+                    this.selectedIndex = index + 1;
+                    this.renderAll();
+                    break;
+                case 'deleteQuestion':
+                    if (!window.confirm(`Delete question ${index + 1}?`)) return;
+                    this.quizData.questions.splice(index, 1);
+                    this.selectedIndex = Math.min(this.selectedIndex, this.quizData.questions.length - 1);
+                    this.renderAll();
+                    break;
+                case 'addRow':
+                    this.addRow(button.dataset.list);
+                    break;
+                case 'removeRow':
+                    this.removeRow(button.dataset.list, index);
+                    break;
+            }
+        });
+    }
+
+    // committed is true for 'change' events: text fields update as they are typed in,
+    // selects and checkboxes only on 'change' so one pick isn't applied twice
+    onFieldChange(element, committed) {
+        const { scope, field } = element.dataset;
+        if (!scope || !field) return;
+        const isTextEntry = element.tagName === 'TEXTAREA' || (element.tagName === 'INPUT' && !['checkbox', 'radio'].includes(element.type));
+        if (committed === isTextEntry) return;
+
+        if (scope === 'quiz') {
+            this.setOrDelete(this.quizData, field, element.value.trim() === '' && field !== 'title' ? undefined : element.value);
+        } else if (scope === 'quizOption' || scope === 'questionOption') {
+            this.updateOption(scope, field, element);
+        } else if (scope === 'question') {
+            this.updateQuestionField(this.getSelectedQuestion(), field, element);
+        }
+
+        this.scheduleRefresh();
+    }
+
+    updateOption(scope, name, element) {
+        const target = scope === 'quizOption'
+            ? (this.quizData.options = this.quizData.options || {})
+            : (this.getSelectedQuestion().questionOptions = this.getSelectedQuestion().questionOptions || {});
+        this.setOrDelete(target, name, this.parseOptionValue(element.value, element.dataset.type));
+    }
+
+    parseOptionValue(value, type) {
+        if (value === '') return undefined;
+        if (type === 'boolean') return value === 'true';
+        if (type === 'number') return parseFloat(value);
+        if (type === 'string|number' && /^-?\d+$/.test(value)) return parseInt(value);
+        return value;
+    }
+
+    setOrDelete(target, key, value) {
+        if (value === undefined || (typeof value === 'number' && isNaN(value))) {
+            delete target[key];
+        } else {
+            target[key] = value;
+        }
+    }
+
+    updateQuestionField(question, field, element) {
+        const value = element.value;
+        const index = parseInt(element.dataset.index);
+        const lines = value.split('\n').map(line => line.trim()).filter(line => line !== '');
+
+        switch (field) {
+            case 'type':
+                this.changeQuestionType(value);
+                return;
+            case 'question':
+                question.question = value;
+                break;
+            case 'instructions':
+            case 'topic':
+            case 'hint':
+            case 'explanation':
+                this.setOrDelete(question, field, value.trim() === '' ? undefined : value);
+                break;
+            case 'points':
+            case 'tolerance':
+            case 'relativeTolerance':
+                this.setOrDelete(question, field, value === '' ? undefined : parseFloat(value));
+                break;
+            case 'option':
+                question.options[index] = value;
+                break;
+            case 'correctOption':
+                if (question.type === 'multiple-choice') {
+                    question.correctAnswer = index;
+                } else {
+                    const picked = new Set(question.correctAnswer || []);
+                    element.checked ? picked.add(index) : picked.delete(index);
+                    question.correctAnswer = [...picked].sort((a, b) => a - b);
+                }
+                break;
+            case 'trueFalse':
+                question.correctAnswer = value === 'true';
+                break;
+            case 'acceptedAnswers':
+                question.correctAnswer = lines.length === 1 ? lines[0] : lines;
+                break;
+            case 'enumerationAnswers':
+                question.correctAnswer = lines.map(line => {
+                    const alternatives = line.split('|').map(answer => answer.trim()).filter(answer => answer !== '');
+                    return alternatives.length === 1 ? alternatives[0] : alternatives;
+                });
+                break;
+            case 'orderingItems':
+                question.items = lines;
+                break;
+            case 'hints':
+                this.setOrDelete(question, 'hints', lines.length === 0 ? undefined : lines);
+                break;
+            case 'numericAnswer':
+                question.correctAnswer = /^\s*-?(\d+\.?\d*|\.\d+)\s*$/.test(value) ? parseFloat(value) : value.trim();
+                break;
+            case 'units': {
+                const units = value.split(',').map(unit => unit.trim()).filter(unit => unit !== '');
+                this.setOrDelete(question, 'unit', units.length === 0 ? undefined : units.length === 1 ? units[0] : units);
+                break;
+            }
+            case 'requireUnit':
+                this.setOrDelete(question, 'requireUnit', element.checked ? true : undefined);
+                break;
+            case 'pairItem':
+            case 'pairMatch': {
+                const pairs = this.getMatchingPairs(question);
+                pairs[index][field === 'pairItem' ? 'item' : 'match'] = value;
+                this.setMatchingPairs(question, pairs);
+                break;
+            }
+        }
+    }
+
+    // Keep the shared fields; the answer fields start over for the new type
+    changeQuestionType(type) {
+        const old = this.getSelectedQuestion();
+        const question = this.createQuestion(type);
+        ['points', 'topic', 'hint', 'hints', 'explanation'].forEach(field => {
+            if (old[field] !== undefined) question[field] = old[field];
+        });
+        if (old.question && (type !== 'cloze' || /\{\{.+?\}\}/.test(old.question))) question.question = old.question;
+        if (old.questionOptions?.richText !== undefined) question.questionOptions = { richText: old.questionOptions.richText };
+        this.quizData.questions[this.selectedIndex] = question;
+        this.renderAll();
+    }
+
+    addRow(list) {
+        const question = this.getSelectedQuestion();
+        if (list === 'options') {
+            question.options.push('');
+        } else if (list === 'pairs') {
+            this.setMatchingPairs(question, [...this.getMatchingPairs(question), { item: '', match: '' }]);
+        }
+        this.renderQuestionForm();
+        this.refresh();
+    }
+
+    removeRow(list, index) {
+        const question = this.getSelectedQuestion();
+        if (list === 'options') {
+            question.options.splice(index, 1);
+            // Keep the correct answer(s) pointing at the same options
+            if (question.type === 'multiple-choice') {
+                if (question.correctAnswer === index) question.correctAnswer = 0;
+                else if (question.correctAnswer > index) question.correctAnswer--;
+            } else {
+                question.correctAnswer = question.correctAnswer
+                    .filter(i => i !== index)
+                    .map(i => i > index ? i - 1 : i);
+            }
+        } else if (list === 'pairs') {
+            const pairs = this.getMatchingPairs(question);
+            pairs.splice(index, 1);
+            this.setMatchingPairs(question, pairs);
+        }
+        this.renderQuestionForm();
+        this.refresh();
+    }
+
+    addQuestion(type) {
+        this.quizData.questions.push(this.createQuestion(type));
+        this.selectedIndex = this.quizData.questions.length - 1;
+        this.renderAll();
+    }
+
+    moveQuestion(index, direction) {
+        const target = index + direction;
+        const questions = this.quizData.questions;
+        if (target < 0 || target >= questions.length) return;
+        [questions[index], questions[target]] = [questions[target], questions[index]];
+        if (this.selectedIndex === index) this.selectedIndex = target;
+        else if (this.selectedIndex === target) this.selectedIndex = index;
+        this.renderAll();
+    }
+
+    newQuiz() {
+        if (!window.confirm('Start a new quiz? Anything not downloaded will be lost.')) return;
+        this.quizData = this.createEmptyQuiz();
+        this.selectedIndex = 0;
+        this.importReport = [];
+        this.renderAll();
+    }
+
+    // quizData JSON opens as it is; GIFT (.gift), Aiken (.txt) and CSV (.csv) banks go through QuizConverter
+    async importFile(file) {
+        if (!file) return;
+        const importers = { gift: 'fromGift', txt: 'fromAiken', csv: 'fromCsv' };
+        const extension = file.name.split('.').pop().toLowerCase();
+        try {
+            const text = await file.text();
+            let data;
+            this.importReport = [];
+            if (importers[extension]) {
+                const title = file.name.replace(/\.[^.]+$/, '');
+                ({ quizData: data, report: this.importReport } = this.converter[importers[extension]](text, { title }));
+            } else {
+                data = JSON.parse(text);
+            }
+            if (!data || !Array.isArray(data.questions) || data.questions.length === 0) {
+                throw new Error('no questions could be read from it');
+            }
+            data.options = data.options || {};
+            this.quizData = data;
+            this.selectedIndex = 0;
+            this.renderAll();
+
+            const skipped = this.importReport.filter(entry => entry.skipped).length;
+            this.setStatus(`Opened ${file.name}${skipped > 0 ? ` — ${skipped} question${skipped === 1 ? '' : 's'} couldn't be converted (see Validation)` : ''}`);
+        } catch (e) {
+            this.setStatus(`Couldn't open ${file.name}: ${e.message}`, true);
+        }
+    }
+
+    // ---- Validation and preview ----
+
+    // Typing only refreshes validation, the question list and the preview; the forms stay put so focus isn't lost
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimeout);
+        this.refreshTimeout = setTimeout(() => this.refresh(), 300);
+    }
+
+    refresh() {
+        this.validation = this.validator.validate(this.getExportData());
+        this.renderValidation();
+        this.renderQuestionList();
+        this.renderPreview();
+    }
+
+    renderValidation() {
+        const { errors, warnings } = this.validation;
+        const format = entry => this.escapeHtml(entry.questionIndex === null ? entry.message : `Question ${entry.questionIndex}: ${entry.message}`);
+        const formatImport = entry => this.escapeHtml(`Line ${entry.line}: ${entry.message}${entry.text ? ` (${entry.text})` : ''}`);
+
+        const importHtml = this.importReport.length === 0 ? '' : `
+            <ul class="editor-issues">
+                ${this.importReport.map(entry => `<li class="editor-issue ${entry.skipped ? 'warning' : 'note'}">${entry.skipped ? '⤫ Not imported' : 'ℹ Import note'} — ${formatImport(entry)}</li>`).join('')}
+            </ul>
+        `;
+        document.getElementById('validationResults').innerHTML = importHtml + (errors.length === 0 && warnings.length === 0
+            ? '<p class="editor-valid">✓ No problems found</p>'
+            : `
+                <ul class="editor-issues">
+                    ${errors.map(entry => `<li class="editor-issue error">✗ ${format(entry)}</li>`).join('')}
+                    ${warnings.map(entry => `<li class="editor-issue warning">⚠ ${format(entry)}</li>`).join('')}
+                </ul>
+            `);
+    }
+
+    // Preview just the selected question, with nothing saved to the learner's progress or review schedule
+    renderPreview() {
+        const frame = document.getElementById('previewFrame');
+        const note = document.getElementById('previewNote');
+        const question = this.getSelectedQuestion();
+        const questionErrors = this.validation.errors.filter(entry => entry.questionIndex === this.selectedIndex + 1);
+
+        if (!question || questionErrors.length > 0) {
+            note.textContent = question ? 'Fix the errors for this question to preview it.' : '';
+            frame.srcdoc = '';
+            return;
+        }
+
+        const data = this.getExportData();
+        const options = { ...data.options, persistSession: false, trackReview: false, examMode: false };
+        delete options.pool;
+        note.textContent = 'Answer it to check the feedback; Shift shows the answer key.';
+        frame.srcdoc = this.buildPlayerPage({
+            title: data.title,
+            description: data.description,
+            options,
+            questions: [data.questions[this.selectedIndex]]
+        }, '', false);
+    }
+
+    // ---- Export ----
+
+    exportJson() {
+        if (!this.canExport()) return;
+        const data = this.getExportData();
+        this.download(`${this.getFileName()}.json`, `${JSON.stringify(data, null, 4)}\n`, 'application/json');
+        this.setStatus(`Saved ${this.getFileName()}.json — put it in Quizzes/ and run npm run build to list it on the home page`);
+    }
+
+    async exportHtml() {
+        if (!this.canExport()) return;
+        const data = this.getExportData();
+        const template = await this.loadTemplate();
+        const html = template ? this.buildTemplatePage(template, data) : this.buildPlayerPage(data, '../', true);
+        this.download(`${this.getFileName()}.html`, html, 'text/html');
+        this.setStatus(`Saved ${this.getFileName()}.html — put it in Quizzes/ and run npm run build to list it on the home page`);
+    }
+
+    canExport() {
+        clearTimeout(this.refreshTimeout);
+        this.refresh(); // The last keystroke may still be waiting on the debounce
+        if (this.validation.errors.length === 0) return true;
+        const count = this.validation.errors.length;
+        this.setStatus(`Fix the ${count} error${count === 1 ? '' : 's'} listed under Validation before downloading`, true);
+        return false;
+    }
+
+    getFileName() {
+        const source = this.quizData.id || this.quizData.title || 'quiz';
+        return source.replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'quiz';
+    }
+
+    download(fileName, contents, type) {
+        const url = URL.createObjectURL(new Blob([contents], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    // The template page is fetched, so HTML export from file:// falls back to the built-in page
+    async loadTemplate() {
+        if (this.templateHtml) return this.templateHtml;
+        try {
+            const response = await fetch('Prompts/quiz-template.html');
+            if (!response.ok) return null;
+            this.templateHtml = await response.text();
+            return this.templateHtml;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // quizData as a script literal; <\/script> and friends can't close the tag early
+    getQuizDataLiteral(data) {
+        return JSON.stringify(data, null, 4).replace(/</g, '\\u003c').replace(/\n/g, '\n        ');
+    }
+
+    // Swap the template's demo quizData and title for ours; its ../ paths suit a page saved in Quizzes/
+    buildTemplatePage(template, data) {
+        return template
+            .replace(/<title>[\s\S]*?<\/title>/, `<title>${this.escapeHtml(data.title)}</title>`)
+            .replace(/\/\/ Comprehensive quiz data[^\n]*\n/, '// Quiz data (made with editor.html)\n')
+            .replace(/const\s+quizData\s*=\s*\{[\s\S]*?\n\s*\};/, () => `const quizData = ${this.getQuizDataLiteral(data)};`);
+    }
+
+    // Same markup as quiz.html with the quiz inlined; assetPath points at styles.css and the quiz scripts
+    buildPlayerPage(data, assetPath, showHomeLink) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${this.escapeHtml(data.title)}</title>
+    <link rel="stylesheet" href="${assetPath}styles.css">
+</head>
+<body>
+    <div class="container">
+        <div id="quizHeader"></div>
+
+        <div id="quizContent">
+            <div id="questionContainer"></div>
+
+            <div class="quiz-navigation">
+                <button id="prevBtn" class="nav-button">Previous</button>
+                <button id="answerKeyToggle" class="answer-key-toggle">Show Answer Key</button>
+                <button id="nextBtn" class="nav-button">Next Question</button>
+            </div>
+        </div>
+${showHomeLink ? `
+        <!-- Home Button -->
+        <a href="${assetPath}index.html" class="home-button">🏠 Home</a>
+` : ''}
+        <!-- Answer Key Modal -->
+        <div id="answerKeyModal" class="answer-key-modal">
+            <div class="answer-key-content">
+                <div class="answer-key-header">
+                    <h3>Answer Key</h3>
+                    <button class="close-modal">&times;</button>
+                </div>
+                <div id="answerKeyBody"></div>
+            </div>
+        </div>
+    </div>
+    <script src="${assetPath}quiz-core.js"></script>
+    <script src="${assetPath}quiz-engine.js"></script>
+    <script>
+        const quizData = ${this.getQuizDataLiteral(data)};
+
+        document.addEventListener('DOMContentLoaded', function() {
+            const quiz = new QuizEngine(quizData);
+        });
+    </script>
+</body>
+</html>
+`;
+    }
+
+    setStatus(message, isError = false) {
+        const status = document.getElementById('editorStatus');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+}
@@ -0,0 +1,736 @@
+// Quiz Converters - Moodle GIFT, Aiken and CSV to quizData, and quizData back to GIFT and IMS QTI 1.2
+// Works in the browser (global QuizConverter) and in Node (require('./quiz-converters'))
+//
+// Every converter returns its output together with a report: [{ line, text, message, skipped }]
+// line is 1-based in the source (null when converting from quizData), text a short snippet,
+// skipped true when the question was left out and false for a lossy but converted question
+class QuizConverter {
+    constructor() {
+        // Columns understood in CSV files; only question and answer are required
+        this.csvColumns = ['type', 'question', 'answer', 'choices', 'tolerance', 'explanation', 'hint', 'topic', 'points'];
+
+        // Characters GIFT lets you escape with a backslash
+        this.giftSpecialChars = '~=#{}:';
+    }
+
+    // ---- Import ----
+
+    fromGift(text, { title = 'Imported Quiz' } = {}) {
+        this.report = [];
+        const questions = [];
+        let topic;
+
+        this.splitBlocks(text, line => /^\s*\/\//.test(line)).forEach(block => {
+            let source = block.text;
+
+            // $CATEGORY: lines set the topic for the questions that follow
+            const category = source.match(/^\s*\$CATEGORY:\s*(.*)$/m);
+            if (category) {
+                const parts = category[1].trim().replace(/^\$[a-z]+\$\//, '').split('/');
+                topic = parts[parts.length - 1] || undefined;
+                source = source.replace(category[0], '').trim();
+                if (!source) return;
+            }
+
+            const question = this.parseGiftQuestion(source, block.line);
+            if (!question) return;
+            if (topic && !question.topic) question.topic = topic;
+            questions.push(question);
+        });
+
+        return this.buildResult(title, questions);
+    }
+
+    fromAiken(text, { title = 'Imported Quiz' } = {}) {
+        this.report = [];
+        const questions = [];
+
+        this.splitAikenBlocks(text).forEach(block => {
+            const lines = block.text.split('\n').map(line => line.trim()).filter(line => line !== '');
+            const stem = [];
+            const options = [];
+            let answerLetter = null;
+
+            lines.forEach(line => {
+                const option = line.match(/^([A-Z])[.)]\s+(.*)$/);
+                const answer = line.match(/^ANSWER:\s*([A-Z])\s*$/i);
+                if (answer) {
+                    answerLetter = answer[1].toUpperCase();
+                } else if (option && (options.length > 0 || stem.length > 0)) {
+                    options.push({ letter: option[1], text: option[2] });
+                } else if (options.length === 0) {
+                    stem.push(line);
+                }
+            });
+
+            const snippet = stem.join(' ');
+            const correctAnswer = options.findIndex(option => option.letter === answerLetter);
+            if (options.length < 2) {
+                this.skip(block.line, snippet, 'needs at least two lettered options (A. ..., B. ...)');
+            } else if (!answerLetter) {
+                this.skip(block.line, snippet, 'has no ANSWER: line');
+            } else if (correctAnswer === -1) {
+                this.skip(block.line, snippet, `ANSWER: ${answerLetter} doesn't match any option`);
+            } else {
+                questions.push({
+                    type: 'multiple-choice',
+                    question: stem.join('\n'),
+                    options: options.map(option => option.text),
+                    correctAnswer
+                });
+            }
+        });
+
+        return this.buildResult(title, questions);
+    }
+
+    // Layout (header row required, columns in any order):
+    //   type         multiple-choice, multiple-answer, true-false, identification, numeric or matching
+    //                (empty = identification, so "question,answer" flashcard sheets work as they are)
+    //   question     the question text
+    //   answer       choice text (multiple-choice), choice texts joined with | (multiple-answer),
+    //                true/false, accepted answers joined with | (identification), a number or fraction (numeric),
+    //                item -> match pairs joined with | (matching)
+    //   choices      all choices joined with | (multiple-choice, multiple-answer)
+    //   tolerance    ± accepted around a numeric answer
+    //   explanation, hint, topic, points   copied as they are
+    fromCsv(text, { title = 'Imported Quiz' } = {}) {
+        this.report = [];
+        const questions = [];
+        const rows = this.parseCsv(text);
+        if (rows.length === 0) return this.buildResult(title, questions);
+
+        const header = rows[0].cells.map(cell => cell.trim().toLowerCase());
+        header.forEach(column => {
+            if (column && !this.csvColumns.includes(column)) {
+                this.note(1, column, `unknown column "${column}" was ignored (known: ${this.csvColumns.join(', ')})`);
+            }
+        });
+        if (!header.includes('question') || !header.includes('answer')) {
+            this.skip(1, header.join(','), 'the header row needs at least "question" and "answer" columns');
+            return this.buildResult(title, questions);
+        }
+
+        rows.slice(1).forEach(row => {
+            const record = {};
+            header.forEach((column, i) => { record[column] = (row.cells[i] ?? '').trim(); });
+            if (Object.values(record).every(value => value === '')) return;
+
+            const question = this.parseCsvRecord(record, row.line);
+            if (question) questions.push(question);
+        });
+
+        return this.buildResult(title, questions);
+    }
+
+    // ---- Export ----
+
+    toGift(quizData) {
+        this.report = [];
+        const chunks = [`// ${this.giftLine(quizData.title || 'Quiz')}`];
+        let currentTopic;
+
+        (quizData.questions || []).forEach((question, index) => {
+            const answerBlock = this.getGiftAnswerBlock(question, index);
+            if (answerBlock === null) return;
+
+            if (question.topic && question.topic !== currentTopic) {
+                chunks.push(`$CATEGORY: ${question.topic}`);
+                currentTopic = question.topic;
+            }
+            const explanation = question.explanation ? `####${this.escapeGift(question.explanation)}` : '';
+            chunks.push(`::Q${index + 1}:: ${this.escapeGift(question.question)} {\n${answerBlock}${explanation ? `\n    ${explanation}` : ''}\n}`);
+        });
+
+        return { text: `${chunks.join('\n\n')}\n`, report: this.report };
+    }
+
+    // A single QTI 1.2 <questestinterop> document (the format Canvas, Blackboard and Moodle's QTI plugin read)
+    toQti(quizData) {
+        this.report = [];
+        const items = (quizData.questions || [])
+            .map((question, index) => this.getQtiItem(question, index))
+            .filter(item => item !== null);
+
+        const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<questestinterop xmlns="http://www.imsglobal.org/xsd/ims_qtiasiv1p2">
+  <assessment ident="${this.xmlId(quizData.id || quizData.title || 'quiz')}" title="${this.escapeXml(quizData.title || 'Quiz')}">
+    <section ident="root_section">
+${items.join('\n')}
+    </section>
+  </assessment>
+</questestinterop>
+`;
+        return { xml, report: this.report };
+    }
+
+    // ---- GIFT parsing ----
+
+    // Hide escaped special characters so they can't be mistaken for syntax; restoreGift puts them back
+    protectGift(text) {
+        return text
+            .replace(/\\n/g, '\n')
+            .replace(/\\([~=#{}:\\])/g, (_, char) => char === '\\' ? '\\' : String.fromCharCode(0xE000 + this.giftSpecialChars.indexOf(char)));
+    }
+
+    restoreGift(text) {
+        return text.replace(/[\uE000-\uE005]/g, char => this.giftSpecialChars[char.charCodeAt(0) - 0xE000]).trim();
+    }
+
+    parseGiftQuestion(rawSource, line) {
+        let source = this.protectGift(rawSource);
+        const snippet = this.snippet(this.restoreGift(source));
+
+        const titleMatch = source.match(/^\s*::([\s\S]*?)::/);
+        if (titleMatch) source = source.slice(titleMatch[0].length);
+
+        const open = source.indexOf('{');
+        const close = source.lastIndexOf('}');
+        if (open === -1 || close < open) {
+            this.skip(line, snippet, 'has no {answer} block (descriptions are not questions)');
+            return null;
+        }
+
+        let stem = source.slice(0, open);
+        const after = source.slice(close + 1).trim();
+        const body = source.slice(open + 1, close).trim();
+
+        // [html] / [markdown] / [plain] / [moodle] text format tags
+        let richText = false;
+        const format = stem.match(/^\s*\[(html|markdown|plain|moodle)\]/i);
+        if (format) {
+            stem = stem.slice(format[0].length);
+            if (format[1].toLowerCase() === 'markdown') richText = true;
+            if (format[1].toLowerCase() === 'html') {
+                stem = this.htmlToText(stem);
+                this.note(line, snippet, 'HTML formatting was converted to plain text');
+            }
+        }
+
+        // "Missing word" questions put the answer block inside the sentence
+        const questionText = this.restoreGift(after ? `${stem.trim()} _____ ${after}` : stem);
+
+        const question = this.parseGiftAnswers(body, questionText, line, snippet);
+        if (!question) return null;
+        if (richText) question.questionOptions = { richText: true };
+        return question;
+    }
+
+    // The {...} part: true/false, numeric, matching, multiple choice/answer or short answer
+    parseGiftAnswers(rawBody, questionText, line, snippet) {
+        // ####general feedback becomes the explanation
+        let body = rawBody;
+        let explanation;
+        const generalFeedback = body.indexOf('####');
+        if (generalFeedback !== -1) {
+            explanation = this.restoreGift(body.slice(generalFeedback + 4));
+            body = body.slice(0, generalFeedback).trim();
+        }
+
+        const question = { type: null, question: questionText };
+        const trueFalse = body.match(/^(T|TRUE|F|FALSE)\s*(#[\s\S]*)?$/i);
+
+        if (body === '') {
+            this.skip(line, snippet, 'essay questions have no automatically graded answer');
+            return null;
+        } else if (trueFalse) {
+            question.type = 'true-false';
+            question.correctAnswer = trueFalse[1].toUpperCase().startsWith('T');
+            // {TRUE#feedback for a wrong answer#feedback for a right answer}
+            const feedback = (trueFalse[2] || '').split('#').slice(1);
+            if (feedback[0]?.trim()) question.hint = this.restoreGift(feedback[0]);
+            if (!explanation && feedback[1]?.trim()) explanation = this.restoreGift(feedback[1]);
+        } else if (body.startsWith('#')) {
+            if (!this.parseGiftNumeric(body.slice(1), question, line, snippet)) return null;
+        } else {
+            const answers = this.splitGiftAnswers(body);
+            if (answers.length === 0) {
+                this.skip(line, snippet, `couldn't read the answers "${this.snippet(this.restoreGift(body))}"`);
+                return null;
+            }
+            if (answers.some(answer => answer.feedback)) {
+                explanation = explanation || answers.find(answer => answer.weight > 0 && answer.feedback)?.feedback;
+                this.note(line, snippet, 'per-answer feedback was dropped (only the correct answer\'s feedback is kept as the explanation)');
+            }
+
+            if (answers.every(answer => answer.marker === '=' && answer.text.includes('->'))) {
+                this.buildGiftMatching(answers, question, line, snippet);
+            } else if (answers.every(answer => answer.marker === '=')) {
+                question.type = 'identification';
+                const accepted = answers.filter(answer => answer.weight === 100).map(answer => answer.text);
+                if (accepted.length < answers.length) {
+                    this.note(line, snippet, 'answers worth partial credit were dropped');
+                }
+                question.correctAnswer = accepted.length === 1 ? accepted[0] : accepted;
+            } else {
+                const correct = answers.map((answer, i) => answer.weight > 0 ? i : -1).filter(i => i !== -1);
+                question.options = answers.map(answer => answer.text);
+                if (correct.length === 0) {
+                    this.skip(line, snippet, 'no answer is marked correct (= or a positive %weight%)');
+                    return null;
+                }
+                const isSingle = correct.length === 1 && answers.filter(answer => answer.marker === '=').length === 1;
+                question.type = isSingle ? 'multiple-choice' : 'multiple-answer';
+                question.correctAnswer = isSingle ? correct[0] : correct;
+            }
+        }
+
+        if (question.type === null) return null;
+        if (explanation) question.explanation = explanation;
+        return question;
+    }
+
+    // "=a#fb ~%50%b" -> [{ marker, weight, text, feedback }]; = is worth 100 and ~ 0 unless a %weight% says otherwise
+    splitGiftAnswers(body) {
+        return body.split(/(?=[=~])/)
+            .map(part => part.trim())
+            .filter(part => part !== '')
+            .map(part => {
+                const match = part.match(/^([=~])\s*(?:%(-?\d+(?:\.\d+)?)%)?([\s\S]*)$/);
+                if (!match) return null;
+                const [text, ...feedback] = match[3].split('#');
+                return {
+                    marker: match[1],
+                    weight: match[2] !== undefined ? parseFloat(match[2]) : (match[1] === '=' ? 100 : 0),
+                    text: this.restoreGift(text),
+                    feedback: feedback.length > 0 ? this.restoreGift(feedback.join('#')) : ''
+                };
+            })
+            .filter(answer => answer !== null);
+    }
+
+    // "=subquestion -> answer": the subquestion is our drop zone (match), the answer the item dragged onto it
+    buildGiftMatching(answers, question, line, snippet) {
+        question.type = 'matching';
+        question.items = [];
+        question.matches = [];
+        question.correctMatches = {};
+        answers.forEach(answer => {
+            const [match, item] = answer.text.split('->').map(part => part.trim());
+            if (!question.items.includes(item)) question.items.push(item);
+            if (match) {
+                question.matches.push(match);
+                question.correctMatches[match] = item;
+            }
+        });
+        if (question.items.length > question.matches.length) {
+            this.note(line, snippet, 'extra answers ("= -> distractor") were kept as items without a match');
+        }
+    }
+
+    // "3.14:0.01", "1..5" or several "=%w%value:tolerance" alternatives (the full-credit one is used)
+    parseGiftNumeric(rawBody, question, line, snippet) {
+        let body = this.restoreGift(rawBody);
+        if (body.startsWith('=')) {
+            const alternatives = body.split('=').map(part => part.trim()).filter(part => part !== '');
+            const full = alternatives.find(part => !/^%/.test(part) || /^%100%/.test(part));
+            if (alternatives.length > 1) this.note(line, snippet, 'only the full-credit numeric answer was kept');
+            body = (full || alternatives[0] || '').replace(/^%-?\d+(\.\d+)?%/, '').split('#')[0].trim();
+        } else {
+            body = body.split('#')[0].trim();
+        }
+
+        const range = body.match(/^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/);
+        const tolerance = body.match(/^(-?[\d.]+(?:e-?\d+)?)\s*(?::\s*([\d.]+))?$/i);
+        question.type = 'numeric';
+        if (range) {
+            const min = parseFloat(range[1]);
+            const max = parseFloat(range[2]);
+            question.correctAnswer = (min + max) / 2;
+            question.tolerance = Math.abs(max - min) / 2;
+        } else if (tolerance) {
+            question.correctAnswer = parseFloat(tolerance[1]);
+            if (tolerance[2] && parseFloat(tolerance[2]) > 0) question.tolerance = parseFloat(tolerance[2]);
+        } else {
+            this.skip(line, snippet, `couldn't read the numeric answer "${body}"`);
+            return false;
+        }
+        return true;
+    }
+
+    // ---- Aiken / CSV parsing ----
+
+    // Blocks of non-blank lines with the line each starts on; skipLine drops comment lines
+    splitBlocks(text, skipLine = () => false) {
+        const blocks = [];
+        let current = null;
+        text.replace(/\r\n?/g, '\n').split('\n').forEach((line, i) => {
+            if (skipLine(line)) return;
+            if (line.trim() === '') {
+                current = null;
+                return;
+            }
+            if (!current) {
+                current = { line: i + 1, text: '' };
+                blocks.push(current);
+            }
+            current.text += `${line}\n`;
+        });
+        return blocks;
+    }
+
+    // Aiken questions end at their ANSWER: line, blank lines between them are optional
+    splitAikenBlocks(text) {
+        const blocks = [];
+        this.splitBlocks(text).forEach(block => {
+            let start = block.line;
+            let lines = [];
+            block.text.trimEnd().split('\n').forEach((line, i) => {
+                lines.push(line);
+                if (/^\s*ANSWER:/i.test(line)) {
+                    blocks.push({ line: start, text: lines.join('\n') });
+                    lines = [];
+                    start = block.line + i + 1;
+                }
+            });
+            if (lines.length > 0) blocks.push({ line: start, text: lines.join('\n') });
+        });
+        return blocks;
+    }
+
+    // RFC 4180: quoted cells may hold commas, "" and line breaks; returns [{ line, cells }]
+    parseCsv(text) {
+        const rows = [];
+        let cells = [];
+        let cell = '';
+        let inQuotes = false;
+        let line = 1;
+        let rowLine = 1;
+        const source = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+        const endRow = () => {
+            cells.push(cell);
+            if (cells.length > 1 || cells[0].trim() !== '') rows.push({ line: rowLine, cells });
+            cells = [];
+            cell = '';
+        };
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    if (char === '\n') line++;
+                    cell += char;
+                }
+            } else if (char === '"' && cell.trim() === '') {
+                inQuotes = true;
+                cell = '';
+            } else if (char === ',') {
+                cells.push(cell);
+                cell = '';
+            } else if (char === '\n') {
+                endRow();
+                line++;
+                rowLine = line;
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || cells.length > 0) endRow();
+        return rows;
+    }
+
+    parseCsvRecord(record, line) {
+        const type = record.type || 'identification';
+        const snippet = this.snippet(record.question);
+        const list = value => (value || '').split('|').map(part => part.trim()).filter(part => part !== '');
+
+        if (!record.question) {
+            this.skip(line, snippet, 'the question cell is empty');
+            return null;
+        }
+        if (!record.answer) {
+            this.skip(line, snippet, 'the answer cell is empty');
+            return null;
+        }
+
+        const question = { type, question: record.question };
+        switch (type) {
+            case 'multiple-choice':
+            case 'multiple-answer': {
+                question.options = list(record.choices);
+                const answers = type === 'multiple-choice' ? [record.answer] : list(record.answer);
+                const indices = answers.map(answer => question.options.indexOf(answer));
+                if (question.options.length < 2) {
+                    this.skip(line, snippet, 'needs at least two choices in the choices column, joined with |');
+                    return null;
+                }
+                if (indices.includes(-1)) {
+                    this.skip(line, snippet, `answer "${answers[indices.indexOf(-1)]}" is not one of the choices`);
+                    return null;
+                }
+                question.correctAnswer = type === 'multiple-choice' ? indices[0] : indices;
+                break;
+            }
+            case 'true-false':
+                if (!/^(true|false|t|f)$/i.test(record.answer)) {
+                    this.skip(line, snippet, `answer must be true or false, got "${record.answer}"`);
+                    return null;
+                }
+                question.correctAnswer = /^t/i.test(record.answer);
+                break;
+            case 'identification': {
+                const accepted = list(record.answer);
+                question.correctAnswer = accepted.length === 1 ? accepted[0] : accepted;
+                break;
+            }
+            case 'numeric': {
+                const value = record.answer.trim();
+                if (!/^-?(\d+\.?\d*|\.\d+)(\s*\/\s*\d+)?$/.test(value)) {
+                    this.skip(line, snippet, `answer must be a number or fraction, got "${value}"`);
+                    return null;
+                }
+                question.correctAnswer = value.includes('/') ? value : parseFloat(value);
+                if (record.tolerance) question.tolerance = parseFloat(record.tolerance);
+                break;
+            }
+            case 'matching': {
+                question.items = [];
+                question.matches = [];
+                question.correctMatches = {};
+                const pairs = list(record.answer).map(pair => pair.split('->').map(part => part.trim()));
+                if (pairs.length < 2 || pairs.some(pair => pair.length !== 2 || !pair[0] || !pair[1])) {
+                    this.skip(line, snippet, 'answer must hold at least two "item -> match" pairs joined with |');
+                    return null;
+                }
+                pairs.forEach(([item, match]) => {
+                    question.items.push(item);
+                    question.matches.push(match);
+                    question.correctMatches[match] = item;
+                });
+                break;
+            }
+            default:
+                this.skip(line, snippet, `type "${type}" can't be imported from CSV`);
+                return null;
+        }
+
+        ['explanation', 'hint', 'topic'].forEach(field => {
+            if (record[field]) question[field] = record[field];
+        });
+        if (record.points && !isNaN(parseFloat(record.points))) question.points = parseFloat(record.points);
+        return question;
+    }
+
+    // ---- GIFT / QTI writing ----
+
+    escapeGift(text) {
+        return String(text ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/([~=#{}:])/g, '\\$1')
+            .replace(/\n/g, '\\n');
+    }
+
+    giftLine(text) {
+        return String(text).replace(/\s+/g, ' ');
+    }
+
+    // Moodle only accepts certain percentages; 100 / n for n = 1..10 and 20 are among them
+    giftWeight(share) {
+        return String(Number(share.toFixed(5)));
+    }
+
+    getGiftAnswerBlock(question, index) {
+        const escape = text => this.escapeGift(text);
+        switch (question.type) {
+            case 'multiple-choice':
+                return question.options
+                    .map((option, i) => `    ${i === question.correctAnswer ? '=' : '~'}${escape(option)}`)
+                    .join('\n');
+            case 'multiple-answer': {
+                const correctCount = question.correctAnswer.length;
+                const wrongCount = question.options.length - correctCount;
+                return question.options.map((option, i) => {
+                    const weight = question.correctAnswer.includes(i)
+                        ? this.giftWeight(100 / correctCount)
+                        : this.giftWeight(-100 / Math.max(wrongCount, 1));
+                    return `    ~%${weight}%${escape(option)}`;
+                }).join('\n');
+            }
+            case 'true-false':
+                return `    ${question.correctAnswer ? 'TRUE' : 'FALSE'}`;
+            case 'identification':
+                return [].concat(question.correctAnswer).map(answer => `    =${escape(answer)}`).join('\n');
+            case 'numeric': {
+                const value = this.toNumber(question.correctAnswer);
+                const tolerance = Math.max(question.tolerance || 0, Math.abs(value) * (question.relativeTolerance || 0));
+                if (question.unit) this.note(null, this.snippet(question.question), `Question ${index + 1}: units are not part of GIFT and were dropped`);
+                return `    #${this.giftWeight(value)}${tolerance > 0 ? `:${this.giftWeight(tolerance)}` : ''}`;
+            }
+            case 'matching': {
+                const lines = Object.entries(question.correctMatches)
+                    .map(([match, item]) => `    =${escape(match)} -> ${escape(item)}`);
+                const usedItems = Object.values(question.correctMatches);
+                question.items.filter(item => !usedItems.includes(item))
+                    .forEach(item => lines.push(`    = -> ${escape(item)}`));
+                return lines.join('\n');
+            }
+            default:
+                this.skip(null, this.snippet(question.question), `Question ${index + 1}: ${question.type} questions have no GIFT equivalent`);
+                return null;
+        }
+    }
+
+    getQtiItem(question, index) {
+        const ident = `q${index + 1}`;
+        const points = question.points ?? 1;
+        let canvasType;
+        let presentation;
+        let conditions;
+
+        const material = text => `<material><mattext texttype="text/plain">${this.escapeXml(text)}</mattext></material>`;
+        const choices = (options, shuffle) => `<render_choice shuffle="${shuffle ? 'Yes' : 'No'}">
+${options.map((option, i) => `              <response_label ident="${ident}_${i}">${material(option)}</response_label>`).join('\n')}
+            </render_choice>`;
+        const setScore = (conditionVar, score = 100, action = 'Set') =>
+            `        <respcondition continue="${action === 'Set' ? 'No' : 'Yes'}">
+          <conditionvar>${conditionVar}</conditionvar>
+          <setvar action="${action}" varname="SCORE">${this.giftWeight(score)}</setvar>
+        </respcondition>`;
+        const shuffleAnswers = question.questionOptions?.shuffleAnswers ?? false;
+
+        switch (question.type) {
+            case 'multiple-choice':
+            case 'true-false': {
+                const options = question.type === 'true-false' ? ['True', 'False'] : question.options;
+                const correct = question.type === 'true-false' ? (question.correctAnswer ? 0 : 1) : question.correctAnswer;
+                canvasType = question.type === 'true-false' ? 'true_false_question' : 'multiple_choice_question';
+                presentation = `<response_lid ident="response1" rcardinality="Single">
+            ${choices(options, shuffleAnswers)}
+          </response_lid>`;
+                conditions = [setScore(`<varequal respident="response1">${ident}_${correct}</varequal>`)];
+                break;
+            }
+            case 'multiple-answer': {
+                canvasType = 'multiple_answers_question';
+                presentation = `<response_lid ident="response1" rcardinality="Multiple">
+            ${choices(question.options, shuffleAnswers)}
+          </response_lid>`;
+                const picks = question.options.map((_, i) => question.correctAnswer.includes(i)
+                    ? `<varequal respident="response1">${ident}_${i}</varequal>`
+                    : `<not><varequal respident="response1">${ident}_${i}</varequal></not>`);
+                conditions = [setScore(`<and>${picks.join('')}</and>`)];
+                break;
+            }
+            case 'identification':
+                canvasType = 'short_answer_question';
+                presentation = `<response_str ident="response1" rcardinality="Single">
+            <render_fib><response_label ident="answer1" rshuffle="No"/></render_fib>
+          </response_str>`;
+                conditions = [setScore([].concat(question.correctAnswer)
+                    .map(answer => `<varequal respident="response1">${this.escapeXml(answer)}</varequal>`).join(''))];
+                break;
+            case 'numeric': {
+                const value = this.toNumber(question.correctAnswer);
+                const tolerance = Math.max(question.tolerance || 0, Math.abs(value) * (question.relativeTolerance || 0));
+                canvasType = 'numerical_question';
+                presentation = `<response_str ident="response1" rcardinality="Single">
+            <render_fib fibtype="Decimal"><response_label ident="answer1"/></render_fib>
+          </response_str>`;
+                conditions = [setScore(tolerance > 0
+                    ? `<vargte respident="response1">${this.giftWeight(value - tolerance)}</vargte><varlte respident="response1">${this.giftWeight(value + tolerance)}</varlte>`
+                    : `<varequal respident="response1">${this.giftWeight(value)}</varequal>`)];
+                if (question.unit) this.note(null, this.snippet(question.question), `Question ${index + 1}: units are not part of QTI numeric answers and were dropped`);
+                break;
+            }
+            case 'matching': {
+                // One dropdown per match, each listing every item; every right pick adds its share of the score
+                canvasType = 'matching_question';
+                const entries = Object.entries(question.correctMatches);
+                presentation = entries.map(([match], i) => `<response_lid ident="response_${i}">
+            ${material(match)}
+            ${choices(question.items, false)}
+          </response_lid>`).join('\n          ');
+                conditions = entries.map(([, item], i) => setScore(
+                    `<varequal respident="response_${i}">${ident}_${question.items.indexOf(item)}</varequal>`, 100 / entries.length, 'Add'));
+                break;
+            }
+            default:
+                this.skip(null, this.snippet(question.question), `Question ${index + 1}: ${question.type} questions have no QTI 1.2 equivalent here`);
+                return null;
+        }
+
+        return `      <item ident="${ident}" title="Question ${index + 1}">
+        <itemmetadata>
+          <qtimetadata>
+            <qtimetadatafield><fieldlabel>question_type</fieldlabel><fieldentry>${canvasType}</fieldentry></qtimetadatafield>
+            <qtimetadatafield><fieldlabel>points_possible</fieldlabel><fieldentry>${points}</fieldentry></qtimetadatafield>
+          </qtimetadata>
+        </itemmetadata>
+        <presentation>
+          ${material(question.question)}
+          ${presentation}
+        </presentation>
+        <resprocessing>
+          <outcomes><decvar maxvalue="100" minvalue="0" varname="SCORE" vartype="Decimal"/></outcomes>
+${conditions.join('\n')}
+        </resprocessing>${question.explanation ? `
+        <itemfeedback ident="general_fb">
+          <flow_mat>${material(question.explanation)}</flow_mat>
+        </itemfeedback>` : ''}
+      </item>`;
+    }
+
+    // ---- Helpers ----
+
+    buildResult(title, questions) {
+        return {
+            quizData: { title, description: '', options: {}, questions },
+            report: this.report
+        };
+    }
+
+    skip(line, text, message) {
+        this.report.push({ line, text, message, skipped: true });
+    }
+
+    note(line, text, message) {
+        this.report.push({ line, text, message, skipped: false });
+    }
+
+    snippet(text) {
+        const flat = String(text ?? '').replace(/\s+/g, ' ').trim();
+        return flat.length > 60 ? `${flat.slice(0, 60)}…` : flat;
+    }
+
+    // numeric correctAnswer may be a fraction string like "13/2"
+    toNumber(value) {
+        if (typeof value === 'number') return value;
+        const [numerator, denominator] = String(value).split('/').map(part => parseFloat(part));
+        return denominator === undefined ? numerator : numerator / denominator;
+    }
+
+    htmlToText(html) {
+        return html
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, '\'')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&amp;/g, '&');
+    }
+
+    escapeXml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    xmlId(text) {
+        return `quiz_${String(text).replace(/[^A-Za-z0-9_-]+/g, '_')}`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuizConverter;
+}
@@ -0,0 +1,940 @@
+// Quiz core - session state, options, seeded shuffling and grading, with no DOM access.
+// QuizEngine (quiz-engine.js) renders it in the browser; Node can require() it on its own,
+// which is how tools/ and tests/ use it.
+class QuizCore {
+    constructor(quizData) {
+        this.originalQuizData = quizData;
+        this.quizData = JSON.parse(JSON.stringify(quizData)); // Work with a copy
+        this.currentQuestionIndex = 0;
+        this.score = 0;
+        this.userAnswers = [];
+        this.questionResults = []; // { isCorrect, credit, pointsEarned } per question position, for the review list
+        this.hintsUsed = []; // How many of question.hints were revealed, per question position
+        // Answer lifecycle per question position: 'draft' (being edited), 'submitted' (committed,
+        // waiting to be graded) and 'graded'. userAnswers only ever holds submitted answers.
+        this.answerStates = [];
+        this.draftAnswers = []; // Latest unsubmitted answer per question position
+        this.attemptsUsed = []; // Submissions per question position
+        this.retryFeedback = []; // Positions whose wrong attempt is still on screen, unedited
+        this.questionLayouts = {}; // Shuffle orders by stateKey, kept so a question looks the same when you come back to it
+        this.isQuizComplete = false;
+        this.round = 1; // Goes up with each "Retry Missed Only" round
+
+        // Store previous shuffle states to ensure different orientations
+        this.previousShuffleStates = {};
+
+        // Seeded shuffling: the same seed replays the same attempt (options.seed, or ?seed= in the browser)
+        this.seed = this.getInitialSeed(quizData);
+        this.shuffleCounts = {}; // How many times each stateKey has been shuffled with this seed
+
+        // Global options (can be overridden per question)
+        this.globalOptions = {
+            shuffleQuestions: true, // Always enabled
+            shuffleAnswers: quizData.options?.shuffleAnswers ?? false,
+            caseSensitive: quizData.options?.caseSensitive ?? false,
+            orderSensitive: quizData.options?.orderSensitive ?? true,
+            shuffleChoices: quizData.options?.shuffleChoices ?? false,
+            shuffleMatches: quizData.options?.shuffleMatches ?? false,
+            unequalList: quizData.options?.unequalList ?? false,
+            // Answer matching for identification/enumeration (all off = exact match only)
+            normalizeWhitespace: quizData.options?.normalizeWhitespace ?? false,
+            ignorePunctuation: quizData.options?.ignorePunctuation ?? false,
+            ignoreArticles: quizData.options?.ignoreArticles ?? false,
+            foldPlurals: quizData.options?.foldPlurals ?? false,
+            typoTolerance: quizData.options?.typoTolerance ?? 0,
+            // Quiz text is always escaped; richText also renders a small Markdown-like subset (see formatRichText)
+            richText: quizData.options?.richText ?? false,
+            // Submit as soon as a choice is picked or every match is placed (typed answers always need Submit)
+            autoSubmit: quizData.options?.autoSubmit ?? false,
+            maxAttempts: quizData.options?.maxAttempts ?? 1, // Submissions per question (0 = unlimited)
+            // Share of a question's points taken off for each of its hints the learner reveals
+            hintPenalty: quizData.options?.hintPenalty ?? 0.25,
+            // 'all-or-nothing', 'proportional' or 'penalty' (proportional, minus wrong picks on multiple-answer)
+            scoringPolicy: quizData.options?.scoringPolicy ?? 'all-or-nothing'
+        };
+
+        this.questionOrder = []; // Store the order of questions after shuffling
+
+        this.shuffledIndices = {}; // Store shuffle mappings for answer checking
+
+        // Exam mode: no feedback or answer key until the quiz is submitted or time runs out
+        this.examOptions = {
+            enabled: quizData.options?.examMode ?? false,
+            timeLimit: quizData.options?.timeLimit ?? 0, // Seconds for the whole quiz (0 = untimed)
+            questionTimeLimit: quizData.options?.questionTimeLimit ?? 0 // Seconds per question (0 = untimed)
+        };
+        this.examDeadline = null; // Timestamp when the whole-quiz countdown ends
+        this.questionDeadlines = {}; // Per-question countdown end timestamps, by question position
+        this.lockedQuestions = []; // Question positions whose time ran out
+        this.examTimedOut = false;
+
+        // Filled by installPlugin()
+        this.questionTypePlugins = {};
+        this.gradingStrategies = {};
+    }
+
+    // Question types and grading strategies from a plugin (see QuizEngine.use() for the format).
+    // QuizEngine also installs the plugin's panels and calls its install().
+    installPlugin(plugin) {
+        Object.assign(this.questionTypePlugins, plugin.questionTypes || {});
+        Object.assign(this.gradingStrategies, plugin.gradingStrategies || {});
+    }
+
+    getQuestionTypePlugin(type) {
+        return this.questionTypePlugins?.[type] || null;
+    }
+
+    // ---- Attempts ----
+
+    // Start a new attempt with a new seed. questionSubset (original question indices)
+    // limits it to those questions, e.g. the missed ones.
+    startAttempt(questionSubset = null) {
+        this.currentQuestionIndex = 0;
+        this.score = 0;
+        this.userAnswers = [];
+        this.questionResults = [];
+        this.hintsUsed = [];
+        this.answerStates = [];
+        this.draftAnswers = [];
+        this.attemptsUsed = [];
+        this.retryFeedback = [];
+        this.questionLayouts = {};
+        this.isQuizComplete = false;
+        this.clearShuffleHistory();
+        this.seed = this.generateSeed(); // A new attempt gets a new seed
+        this.quizData = JSON.parse(JSON.stringify(this.originalQuizData)); // Reset to original
+        this.shuffleQuestions(questionSubset); // Shuffle again
+        this.examDeadline = null;
+        this.questionDeadlines = {};
+        this.lockedQuestions = [];
+        this.examTimedOut = false;
+    }
+
+    // 'correct', 'partial', 'incorrect' or 'skipped', for the question at this position
+    getQuestionStatus(index) {
+        const result = this.questionResults[index];
+        if (!result || !this.hasAnswer(this.userAnswers[index])) return 'skipped';
+        if (result.isCorrect) return 'correct';
+        return result.credit > 0 ? 'partial' : 'incorrect';
+    }
+
+    // Original indices of the questions answered wrong, partly right or skipped in this attempt
+    getMissedQuestionIndices() {
+        return this.questionOrder.filter((_, index) => this.getQuestionStatus(index) !== 'correct');
+    }
+
+    // ---- Session state ----
+
+    // Stable id for a quiz, used to namespace everything saved in localStorage.
+    // Static so the catalog can work it out without starting the quiz.
+    static getQuizIdFor(quizData) {
+        const source = quizData.id || quizData.title || 'quiz';
+        return String(source).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    getQuizId() {
+        return QuizCore.getQuizIdFor(this.originalQuizData);
+    }
+
+    // Everything needed to pick this attempt up again, as plain JSON
+    getSessionState() {
+        return {
+            version: 1,
+            savedAt: Date.now(),
+            questionOrder: this.questionOrder,
+            currentQuestionIndex: this.currentQuestionIndex,
+            score: this.score,
+            userAnswers: this.userAnswers,
+            questionResults: this.questionResults,
+            hintsUsed: this.hintsUsed,
+            answerStates: this.answerStates,
+            draftAnswers: this.draftAnswers,
+            attemptsUsed: this.attemptsUsed,
+            retryFeedback: this.retryFeedback,
+            questionLayouts: this.questionLayouts,
+            previousShuffleStates: this.previousShuffleStates,
+            shuffledIndices: this.shuffledIndices,
+            seed: this.seed,
+            shuffleCounts: this.shuffleCounts,
+            round: this.round,
+            // Deadlines are absolute, so a refresh doesn't buy extra exam time
+            examDeadline: this.examDeadline,
+            questionDeadlines: this.questionDeadlines,
+            lockedQuestions: this.lockedQuestions
+        };
+    }
+
+    // Discard sessions that no longer fit this quiz (e.g. questions were removed).
+    // With a question pool the saved order only covers the questions drawn for that attempt.
+    isValidSession(session) {
+        const questionCount = this.originalQuizData.questions.length;
+        return Boolean(session &&
+            session.version === 1 &&
+            Array.isArray(session.questionOrder) &&
+            session.questionOrder.length > 0 &&
+            session.questionOrder.length <= questionCount &&
+            new Set(session.questionOrder).size === session.questionOrder.length &&
+            session.questionOrder.every(i => Number.isInteger(i) && i >= 0 && i < questionCount) &&
+            session.currentQuestionIndex >= 0 &&
+            session.currentQuestionIndex < session.questionOrder.length);
+    }
+
+    // The inverse of getSessionState(); the session must pass isValidSession()
+    restoreSessionState(session) {
+        this.questionOrder = session.questionOrder;
+        this.quizData.questions = session.questionOrder.map(i => this.originalQuizData.questions[i]);
+        this.currentQuestionIndex = session.currentQuestionIndex;
+        this.score = session.score;
+        this.userAnswers = session.userAnswers;
+        this.questionResults = session.questionResults || [];
+        this.hintsUsed = session.hintsUsed || [];
+        // Sessions saved before the answer lifecycle scored on the first answer, so those count as graded
+        this.answerStates = session.answerStates ||
+            session.userAnswers.map(answer => this.hasAnswer(answer) ? (this.examOptions.enabled ? 'submitted' : 'graded') : undefined);
+        this.draftAnswers = session.draftAnswers || [];
+        this.attemptsUsed = session.attemptsUsed || [];
+        this.retryFeedback = session.retryFeedback || [];
+        this.questionLayouts = session.questionLayouts || {};
+        this.previousShuffleStates = session.previousShuffleStates || {};
+        this.shuffledIndices = session.shuffledIndices || {};
+        this.seed = session.seed || this.seed;
+        this.shuffleCounts = session.shuffleCounts || {};
+        this.round = session.round || 1;
+        this.examDeadline = session.examDeadline || null;
+        this.questionDeadlines = session.questionDeadlines || {};
+        this.lockedQuestions = session.lockedQuestions || [];
+    }
+
+    // ---- Question order and options ----
+
+    // Shuffle questions - always enabled. A retry round passes the original indices it is limited to.
+    shuffleQuestions(questionSubset = null) {
+        const stateKey = 'questions';
+        const drawnIndices = questionSubset ? [...questionSubset] : this.drawQuestionPool();
+        const questionIndices = this.shuffleArrayDifferently(drawnIndices, stateKey).map(i => drawnIndices[i]);
+        
+        // Reorder questions based on shuffled indices
+        const shuffledQuestions = questionIndices.map(i => this.originalQuizData.questions[i]);
+        this.quizData.questions = shuffledQuestions;
+        
+        // Store the question order for reference
+        this.questionOrder = questionIndices;
+    }
+
+    // Pick which questions from the bank this attempt uses (options.pool); returns original indices.
+    //   pool: { draw: 20 }                                    20 random questions
+    //   pool: { byType: { matching: 3, identification: 10 } } that many of each type
+    //   pool: { byTopic: { scheduling: 5, memory: 5 } }       matched against question.topic / question.tags
+    // draw can be combined with byType/byTopic to top the attempt up with random leftovers.
+    drawQuestionPool() {
+        const allIndices = this.originalQuizData.questions.map((_, i) => i);
+        const pool = this.originalQuizData.options?.pool;
+        if (!pool) return allIndices;
+
+        const random = this.createRandom('pool');
+        const drawn = new Set();
+        const drawFrom = (candidates, count) => {
+            const available = candidates.filter(i => !drawn.has(i));
+            this.shuffleArray(available, random).slice(0, count).forEach(i => drawn.add(i));
+        };
+
+        Object.entries(pool.byType || {}).forEach(([type, count]) => {
+            drawFrom(allIndices.filter(i => this.originalQuizData.questions[i].type === type), count);
+        });
+        Object.entries(pool.byTopic || {}).forEach(([topic, count]) => {
+            drawFrom(allIndices.filter(i => this.questionHasTopic(this.originalQuizData.questions[i], topic)), count);
+        });
+
+        const isStratified = pool.byType || pool.byTopic;
+        if (pool.draw > drawn.size) {
+            drawFrom(allIndices, pool.draw - drawn.size);
+        } else if (!isStratified && !pool.draw) {
+            return allIndices;
+        }
+
+        // Keep bank order here; shuffleQuestions() decides the order they are asked in
+        return allIndices.filter(i => drawn.has(i));
+    }
+
+    questionHasTopic(question, topic) {
+        return question.topic === topic || (Array.isArray(question.tags) && question.tags.includes(topic));
+    }
+
+    // Get options for current question (question options override global options)
+    getQuestionOptions(question) {
+        return {
+            shuffleAnswers: question.questionOptions?.shuffleAnswers ?? this.globalOptions.shuffleAnswers,
+            caseSensitive: question.questionOptions?.caseSensitive ?? this.globalOptions.caseSensitive,
+            orderSensitive: question.questionOptions?.orderSensitive ?? this.globalOptions.orderSensitive,
+            shuffleChoices: question.questionOptions?.shuffleChoices ?? this.globalOptions.shuffleChoices,
+            shuffleMatches: question.questionOptions?.shuffleMatches ?? this.globalOptions.shuffleMatches,
+            unequalList: question.questionOptions?.unequalList ?? this.globalOptions.unequalList,
+            normalizeWhitespace: question.questionOptions?.normalizeWhitespace ?? this.globalOptions.normalizeWhitespace,
+            ignorePunctuation: question.questionOptions?.ignorePunctuation ?? this.globalOptions.ignorePunctuation,
+            ignoreArticles: question.questionOptions?.ignoreArticles ?? this.globalOptions.ignoreArticles,
+            foldPlurals: question.questionOptions?.foldPlurals ?? this.globalOptions.foldPlurals,
+            typoTolerance: question.questionOptions?.typoTolerance ?? this.globalOptions.typoTolerance,
+            richText: question.questionOptions?.richText ?? this.globalOptions.richText,
+            autoSubmit: question.questionOptions?.autoSubmit ?? this.globalOptions.autoSubmit,
+            maxAttempts: question.questionOptions?.maxAttempts ?? this.globalOptions.maxAttempts,
+            hintPenalty: question.questionOptions?.hintPenalty ?? this.globalOptions.hintPenalty,
+            scoringPolicy: question.questionOptions?.scoringPolicy ?? this.globalOptions.scoringPolicy
+        };
+    }
+
+    // ---- Answer lifecycle: draft → submitted → graded ----
+
+    getAnswerState(index) {
+        return this.answerStates[index] || 'draft';
+    }
+
+    // Graded answers and questions whose time ran out can't be changed any more
+    canEditAnswer(index) {
+        return !this.isQuestionLocked(index) && this.getAnswerState(index) !== 'graded';
+    }
+
+    // Store an edit to the answer at a position. Exam mode commits it right away, since
+    // everything is graded on submit. Returns the new state, or null when the answer can't change.
+    saveDraft(index, answer) {
+        if (!this.canEditAnswer(index)) return null;
+        if (this.isExamMode()) {
+            this.userAnswers[index] = answer;
+            this.answerStates[index] = 'submitted';
+        } else {
+            this.draftAnswers[index] = answer;
+            this.answerStates[index] = 'draft';
+            delete this.retryFeedback[index];
+        }
+        return this.answerStates[index];
+    }
+
+    // Submissions left for the question at this position (Infinity when maxAttempts is 0)
+    getAttemptsLeft(question, index) {
+        const maxAttempts = Math.floor(this.getQuestionOptions(question).maxAttempts);
+        if (!(maxAttempts > 0)) return Infinity;
+        return Math.max(0, maxAttempts - (this.attemptsUsed[index] || 0));
+    }
+
+    // Submit and grade the answer at a position. It counts once it is right or the attempts
+    // run out; until then it goes back to being a draft. Returns the answerGraded payload.
+    gradeSubmission(index, answer) {
+        const question = this.quizData.questions[index];
+        this.answerStates[index] = 'submitted';
+        this.attemptsUsed[index] = (this.attemptsUsed[index] || 0) + 1;
+        const attemptsLeft = this.getAttemptsLeft(question, index);
+        const { isCorrect, credit } = this.gradeAnswer(answer, question);
+
+        if (!isCorrect && attemptsLeft > 0) {
+            this.draftAnswers[index] = answer;
+            this.answerStates[index] = 'draft';
+            this.retryFeedback[index] = true;
+            return { index, question, answer, isCorrect, credit, pointsEarned: 0, final: false, attemptsLeft, score: this.score };
+        }
+
+        const pointsEarned = credit * this.getQuestionPoints(question) * this.getHintFactor(question, index);
+        this.score += pointsEarned;
+        this.userAnswers[index] = answer;
+        this.questionResults[index] = { isCorrect, credit, pointsEarned };
+        this.answerStates[index] = 'graded';
+        delete this.draftAnswers[index];
+        return { index, question, answer, isCorrect, credit, pointsEarned, final: true, attemptsLeft, score: this.score };
+    }
+
+    // Answers that were typed or picked but never submitted, so they don't count
+    getUnsubmittedCount() {
+        return this.draftAnswers.filter((answer, index) =>
+            this.getAnswerState(index) === 'draft' && this.hasAnswer(answer)).length;
+    }
+
+    // ---- Exam mode ----
+
+    // True while an exam is in progress (feedback and the answer key are withheld)
+    isExamMode() {
+        return this.examOptions.enabled && !this.isQuizComplete;
+    }
+
+    getAnsweredCount() {
+        return this.userAnswers.filter(answer => this.hasAnswer(answer)).length;
+    }
+
+    hasAnswer(answer) {
+        if (answer === null || answer === undefined || answer === '') return false;
+        if (Array.isArray(answer)) return answer.some(item => this.hasAnswer(item)); // e.g. cloze blanks left empty
+        if (typeof answer === 'object') return Object.keys(answer).length > 0;
+        return true;
+    }
+
+    isQuestionLocked(index) {
+        return this.lockedQuestions.includes(index);
+    }
+
+    // Grade every stored answer at once (used when an exam is submitted).
+    // Returns the answerGraded payload per question position, null where nothing was answered.
+    gradeAllAnswers() {
+        this.score = 0;
+        this.questionResults = [];
+        return this.quizData.questions.map((question, index) => {
+            const answer = this.userAnswers[index];
+            if (!this.hasAnswer(answer)) return null;
+
+            const { isCorrect, credit } = this.gradeAnswer(answer, question);
+            const pointsEarned = credit * this.getQuestionPoints(question) * this.getHintFactor(question, index);
+            this.score += pointsEarned;
+            this.questionResults[index] = { isCorrect, credit, pointsEarned };
+            this.answerStates[index] = 'graded';
+            return { index, question, answer, isCorrect, credit, pointsEarned, final: true, attemptsLeft: 0, score: this.score };
+        });
+    }
+
+    // ---- Progressive hints ----
+
+    getHints(question) {
+        return Array.isArray(question.hints) ? question.hints : [];
+    }
+
+    // Share of the question's points still available after the hints revealed at that position
+    getHintFactor(question, index) {
+        const penalty = this.getQuestionOptions(question).hintPenalty;
+        return Math.max(0, 1 - (this.hintsUsed[index] || 0) * penalty);
+    }
+
+    // More hints can be revealed until the question is scored; exams give no hints at all
+    canRevealHint(question, index) {
+        return !this.isExamMode() && (this.hintsUsed[index] || 0) < this.getHints(question).length &&
+            this.questionResults[index] === undefined && !this.isQuestionLocked(index);
+    }
+
+    // Reveal the next hint at a position; returns its text, or null when none can be revealed
+    revealHint(index) {
+        const question = this.quizData.questions[index];
+        if (!this.canRevealHint(question, index)) return null;
+
+        this.hintsUsed[index] = (this.hintsUsed[index] || 0) + 1;
+        return this.getHints(question)[this.hintsUsed[index] - 1];
+    }
+
+    getHintsUsedCount() {
+        return this.hintsUsed.reduce((total, count) => total + (count || 0), 0);
+    }
+
+    // ---- Scoring ----
+
+    getQuestionPoints(question) {
+        return typeof question.points === 'number' && question.points >= 0 ? question.points : 1;
+    }
+
+    getTotalPoints() {
+        return this.quizData.questions.reduce((total, question) => total + this.getQuestionPoints(question), 0);
+    }
+
+    // Fraction of the question's points earned (0 to 1), according to the scoring policy.
+    // Must run after isAnswerCorrect(), which leaves per-item results for enumeration.
+    getAnswerCredit(userAnswer, question, options, isCorrect) {
+        // Plugin grading strategies (by scoringPolicy name) and question types decide for themselves
+        const strategy = this.gradingStrategies[options.scoringPolicy];
+        if (strategy) return Math.min(1, Math.max(0, strategy(userAnswer, question, options, isCorrect, this)));
+        if (isCorrect) return 1;
+        const plugin = this.getQuestionTypePlugin(question.type);
+        if (plugin?.getCredit) return Math.min(1, Math.max(0, plugin.getCredit(userAnswer, question, options, this)));
+        if (options.scoringPolicy !== 'proportional' && options.scoringPolicy !== 'penalty') return 0;
+
+        switch (question.type) {
+            case 'enumeration': {
+                const correctCount = (this.lastEnumerationResults || []).filter(Boolean).length;
+                return Math.min(correctCount / question.correctAnswer.length, 1);
+            }
+
+            case 'ordering': {
+                const correctPositions = (this.lastOrderingResults || []).filter(Boolean).length;
+                return correctPositions / question.items.length;
+            }
+
+            case 'cloze': {
+                const correctBlanks = (this.lastClozeResults || []).filter(Boolean).length;
+                return this.lastClozeResults?.length ? correctBlanks / this.lastClozeResults.length : 0;
+            }
+
+            case 'matching': {
+                if (!question.correctMatches || !userAnswer || typeof userAnswer !== 'object') return 0;
+                const matchKeys = Object.keys(question.correctMatches);
+                const correctPairs = matchKeys.filter(key => userAnswer[key] === question.correctMatches[key]).length;
+                return correctPairs / matchKeys.length;
+            }
+
+            case 'multiple-answer': {
+                if (!Array.isArray(userAnswer) || !question.correctAnswer) return 0;
+                const picks = [...new Set(userAnswer)];
+                const hits = picks.filter(ans => question.correctAnswer.includes(ans)).length;
+                const wrongPicks = picks.length - hits;
+
+                if (options.scoringPolicy === 'penalty') {
+                    // Each wrong pick cancels out one right pick
+                    return Math.max(0, (hits - wrongPicks) / question.correctAnswer.length);
+                }
+                // Proportional: share of options that were correctly checked or left unchecked,
+                // but nothing without a single right pick (leaving everything unchecked isn't half right)
+                if (hits === 0) return 0;
+                const missed = question.correctAnswer.length - hits;
+                return (question.options.length - wrongPicks - missed) / question.options.length;
+            }
+
+            default:
+                return 0; // Single-answer questions are right or wrong
+        }
+    }
+
+    // ---- Grading ----
+
+    // Grade an answer without touching any state the learner sees. itemResults holds the
+    // per-item marks (enumeration entries, cloze blanks, ordering positions; null for other
+    // types) and nearMisses the typed answers accepted only after normalization or typo tolerance.
+    gradeAnswer(answer, question, options = this.getQuestionOptions(question)) {
+        const isCorrect = this.isAnswerCorrect(answer, question, options);
+        const credit = this.getAnswerCredit(answer, question, options, isCorrect);
+        const itemResults = {
+            enumeration: this.lastEnumerationResults,
+            cloze: this.lastClozeResults,
+            ordering: this.lastOrderingResults
+        }[question.type];
+        return { isCorrect, credit, itemResults: itemResults ? [...itemResults] : null, nearMisses: [...this.lastNearMisses] };
+    }
+
+    // Leaves per-item results in lastEnumerationResults, lastOrderingResults and lastClozeResults
+    // for visual feedback and partial credit; gradeAnswer() returns them instead
+    isAnswerCorrect(userAnswer, question, options) {
+        this.lastNearMisses = []; // Filled by findTextMatch() when a close answer is accepted
+        switch(question.type) {
+            case 'multiple-choice':
+                return parseInt(userAnswer) === question.correctAnswer;
+            
+            case 'true-false':
+                return userAnswer === question.correctAnswer.toString();
+            
+            case 'multiple-answer': {
+                if (!Array.isArray(userAnswer) || !question.correctAnswer) return false;
+                const picks = new Set(userAnswer); // Picking the same option twice doesn't make up for a missing one
+                return picks.size === question.correctAnswer.length &&
+                    [...picks].every(ans => question.correctAnswer.includes(ans));
+            }
+            
+            case 'identification':
+                if (!userAnswer || typeof userAnswer !== 'string') return false;
+                const acceptableAnswers = Array.isArray(question.correctAnswer)
+                    ? question.correctAnswer
+                    : [question.correctAnswer];
+                return this.findTextMatch(acceptableAnswers, userAnswer, options) !== null;
+            
+            case 'enumeration':
+                if (!Array.isArray(userAnswer) || userAnswer.length === 0) {
+                    this.lastEnumerationResults = []; // Clear results
+                    return false;
+                }
+                
+                const entries = userAnswer.map(ans => String(ans ?? '')); // Missing entries count as blanks
+                
+                const individualResults = []; // Store individual correctness
+                let allCorrect = true;
+                
+                if (options.orderSensitive) {
+                    // Order matters - check each position
+                    entries.forEach((ans, index) => {
+                        let isCorrect = false;
+                        if (index < question.correctAnswer.length && ans.trim()) {
+                            const acceptable = Array.isArray(question.correctAnswer[index])
+                                ? question.correctAnswer[index]
+                                : [question.correctAnswer[index]];
+                            isCorrect = this.findTextMatch(acceptable, ans, options) !== null;
+                        }
+                        individualResults[index] = isCorrect;
+                        if (!isCorrect) allCorrect = false; // A blank leaves its position unanswered
+                    });
+                    
+                    if (entries.length !== question.correctAnswer.length) allCorrect = false;
+                    
+                } else {
+                    // Order doesn't matter - any valid answers in any order
+                    if (entries.length > question.correctAnswer.length) {
+                        // Too many answers - mark all as incorrect
+                        entries.forEach((_, index) => {
+                            individualResults[index] = false;
+                        });
+                        this.lastEnumerationResults = individualResults;
+                        return false;
+                    }
+                    
+                    // Get all acceptable answers flattened for checking, remembering which item each belongs to
+                    const allAcceptableAnswers = [];
+                    const answerItems = [];
+                    question.correctAnswer.forEach((answerSet, itemIndex) => {
+                        (Array.isArray(answerSet) ? answerSet : [answerSet]).forEach(answer => {
+                            allAcceptableAnswers.push(answer);
+                            answerItems.push(itemIndex);
+                        });
+                    });
+                    
+                    const usedItems = new Set();
+                    
+                    // Check each user answer individually
+                    entries.forEach((userAns, index) => {
+                        let isCorrect = false;
+                        
+                        if (userAns.trim()) {
+                            // Each item counts once, whichever of its spellings was used
+                            const isUnused = i => !usedItems.has(answerItems[i]);
+                            const match = this.findTextMatch(allAcceptableAnswers.filter((_, i) => isUnused(i)), userAns, options);
+                            if (match !== null) {
+                                usedItems.add(answerItems[allAcceptableAnswers.findIndex((ans, i) => ans === match && isUnused(i))]);
+                                isCorrect = true;
+                            }
+                        }
+                        
+                        individualResults[index] = isCorrect;
+                        if (!isCorrect && userAns.trim()) allCorrect = false;
+                    });
+                    
+                    // Every item has to be given
+                    if (usedItems.size !== question.correctAnswer.length) allCorrect = false;
+                }
+
+                // Store results for visual feedback (this should be outside both if/else blocks)
+                this.lastEnumerationResults = individualResults;
+
+                return allCorrect;
+            
+            case 'numeric':
+                return this.isNumericAnswerCorrect(userAnswer, question);
+            
+            case 'ordering':
+                // Item i belongs at position i; remember which positions are right for partial feedback
+                if (!Array.isArray(userAnswer)) {
+                    this.lastOrderingResults = [];
+                    return false;
+                }
+                this.lastOrderingResults = userAnswer.map((itemIndex, position) => itemIndex === position);
+                return userAnswer.length === question.items.length && this.lastOrderingResults.every(Boolean);
+            
+            case 'cloze':
+                // Each blank is graded like an identification answer
+                const { blanks } = this.parseCloze(question.question);
+                const blankAnswers = Array.isArray(userAnswer) ? userAnswer : [];
+                this.lastClozeResults = blanks.map((acceptable, index) => {
+                    const answer = blankAnswers[index];
+                    return typeof answer === 'string' && answer !== '' && this.findTextMatch(acceptable, answer, options) !== null;
+                });
+                return blanks.length > 0 && this.lastClozeResults.every(Boolean);
+            
+            case 'matching':
+                if (!question.correctMatches || !userAnswer || typeof userAnswer !== 'object') return false;
+                for (let matchKey in question.correctMatches) {
+                    const correctItem = question.correctMatches[matchKey];
+                    if (userAnswer[matchKey] !== correctItem) {
+                        return false;
+                    }
+                }
+                return Object.keys(userAnswer).length === Object.keys(question.correctMatches).length;
+            
+            default: {
+                const plugin = this.getQuestionTypePlugin(question.type);
+                return plugin ? Boolean(plugin.isCorrect(userAnswer, question, options, this)) : false;
+            }
+        }
+    }
+
+    // Split "The {{CPU scheduler}} selects from the {{ready queue|ready list}}" into
+    // text parts and blanks; each blank lists its acceptable answers
+    parseCloze(text) {
+        const parts = [];
+        const blanks = [];
+        const blankPattern = /\{\{(.+?)\}\}/g;
+        let lastIndex = 0;
+        let match;
+
+        while ((match = blankPattern.exec(text)) !== null) {
+            parts.push(text.slice(lastIndex, match.index));
+            const acceptable = match[1].split('|').map(answer => answer.trim()).filter(answer => answer !== '');
+            parts.push({ blankIndex: blanks.length });
+            blanks.push(acceptable);
+            lastIndex = blankPattern.lastIndex;
+        }
+        parts.push(text.slice(lastIndex));
+
+        return { parts, blanks };
+    }
+
+    // ---- Numeric answers ----
+
+    isNumericAnswerCorrect(userAnswer, question) {
+        const parsed = this.parseNumericAnswer(userAnswer);
+        if (!parsed) return false;
+
+        const units = this.getNumericUnits(question);
+        if (parsed.unit) {
+            // A unit that was typed has to be one of the accepted ones
+            if (!units.some(unit => unit.toLowerCase() === parsed.unit.toLowerCase())) return false;
+        } else if (question.requireUnit && units.length > 0) {
+            return false;
+        }
+
+        const [min, max] = this.getNumericRange(question);
+        return parsed.value >= min && parsed.value <= max;
+    }
+
+    // Accepts "6.5", "6.50", "-1.2e3", "1,024", "13/2", "6 1/2", each optionally followed by a unit ("6.5 ms")
+    parseNumericAnswer(text) {
+        if (typeof text === 'number') return Number.isFinite(text) ? { value: text, unit: '' } : null;
+        if (typeof text !== 'string') return null;
+
+        const number = '[+-]?(?:\\d+\\.?\\d*|\\.\\d+)(?:e[+-]?\\d+)?';
+        const match = text.trim().replace(/(\d),(?=\d{3}\b)/g, '$1').match(
+            new RegExp(`^(${number})(?:\\s+(\\d+)\\s*/\\s*(\\d+)|\\s*/\\s*(${number}))?\\s*([^\\d\\s].*)?$`, 'i')
+        );
+        if (!match) return null;
+
+        let value = parseFloat(match[1]);
+        if (match[2] !== undefined) {
+            // Mixed number: 6 1/2
+            const fraction = parseFloat(match[2]) / parseFloat(match[3]);
+            value = value < 0 ? value - fraction : value + fraction;
+        } else if (match[4] !== undefined) {
+            value = value / parseFloat(match[4]);
+        }
+        if (!Number.isFinite(value)) return null;
+
+        return { value, unit: (match[5] || '').trim() };
+    }
+
+    getNumericUnits(question) {
+        if (!question.unit) return [];
+        return Array.isArray(question.unit) ? question.unit : [question.unit];
+    }
+
+    // [min, max] accepted; the wider of the absolute and relative tolerances wins
+    getNumericRange(question) {
+        const expected = this.parseNumericAnswer(question.correctAnswer)?.value ?? NaN;
+        const absolute = question.tolerance || 0;
+        const relative = Math.abs(expected) * (question.relativeTolerance || 0);
+        const margin = Math.max(absolute, relative, 1e-9); // Tiny floor so 0.1 + 0.2 style noise still matches
+        return [expected - margin, expected + margin];
+    }
+
+    // Trim floating-point noise for display (0.30000000000000004 -> 0.3)
+    formatNumber(value) {
+        return String(Number(value.toPrecision(10)));
+    }
+
+    // ---- Typo-tolerant text matching (identification and enumeration) ----
+
+    // Return the acceptable answer that matches, preferring exact matches; records near misses
+    findTextMatch(acceptableAnswers, userAnswer, options) {
+        let nearMatch = null;
+        for (const acceptable of acceptableAnswers) {
+            const result = this.matchTextAnswer(acceptable, userAnswer, options);
+            if (result === 'exact') return acceptable;
+            if (result === 'near' && nearMatch === null) nearMatch = acceptable;
+        }
+
+        if (nearMatch !== null) {
+            this.lastNearMisses.push({ given: userAnswer, accepted: nearMatch });
+        }
+        return nearMatch;
+    }
+
+    // Compare one acceptable answer with what was typed: 'exact', 'near' (accepted after
+    // normalization or within the typo tolerance) or null
+    matchTextAnswer(expected, given, options) {
+        expected = String(expected);
+        given = String(given).trim();
+
+        const sameCase = options.caseSensitive
+            ? expected === given
+            : expected.toLowerCase() === given.toLowerCase();
+        if (sameCase) return 'exact';
+
+        const normalizedExpected = this.normalizeTextAnswer(expected, options);
+        const normalizedGiven = this.normalizeTextAnswer(given, options);
+        if (!normalizedGiven) return null;
+        if (normalizedExpected === normalizedGiven) return 'near';
+
+        // Short answers like chemical symbols or acronyms get no typo allowance
+        const allowedEdits = Math.min(options.typoTolerance || 0, Math.floor(normalizedExpected.length / 4));
+        if (allowedEdits > 0 && this.editDistance(normalizedExpected, normalizedGiven, allowedEdits) <= allowedEdits) {
+            return 'near';
+        }
+        return null;
+    }
+
+    normalizeTextAnswer(text, options) {
+        let normalized = options.caseSensitive ? text : text.toLowerCase();
+
+        if (options.ignorePunctuation) {
+            // "insider-threats" and "insider threats" should compare equal
+            normalized = normalized.replace(/[^\p{L}\p{N}\s]+/gu, ' ');
+        }
+        if (options.normalizeWhitespace || options.ignorePunctuation || options.ignoreArticles || options.foldPlurals) {
+            normalized = normalized.replace(/\s+/g, ' ').trim();
+        }
+
+        let words = normalized.split(' ');
+        if (options.ignoreArticles) {
+            const articles = ['a', 'an', 'the'];
+            const withoutArticles = words.filter(word => !articles.includes(word.toLowerCase()));
+            words = withoutArticles.length > 0 ? withoutArticles : words;
+        }
+        if (options.foldPlurals) {
+            words = words.map(word => this.singularize(word));
+        }
+        return words.join(' ');
+    }
+
+    // Rough English singular form, good enough to fold "threats"/"threat" and "queues"/"queue"
+    singularize(word) {
+        if (word.length <= 3) return word;
+        if (/ies$/i.test(word)) return word.slice(0, -3) + (word.endsWith('IES') ? 'Y' : 'y');
+        if (/(ss|sh|ch|x|z)es$/i.test(word)) return word.slice(0, -2);
+        if (/[^s]s$/i.test(word)) return word.slice(0, -1);
+        return word;
+    }
+
+    // Levenshtein distance, giving up early once it exceeds maxDistance
+    editDistance(a, b, maxDistance = Infinity) {
+        if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > maxDistance) return maxDistance + 1;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // ---- Seeded randomness ----
+
+    getInitialSeed(quizData) {
+        if (quizData.options?.seed !== undefined) return String(quizData.options.seed);
+        return this.generateSeed();
+    }
+
+    generateSeed() {
+        return String(Math.floor(Math.random() * 4294967296));
+    }
+
+    // Each stateKey gets its own stream, so the nth shuffle of a given question
+    // is the same on every replay no matter what was shuffled before it
+    createRandom(stateKey) {
+        const count = this.shuffleCounts[stateKey] || 0;
+        this.shuffleCounts[stateKey] = count + 1;
+        return this.mulberry32(this.hashString(`${this.seed}:${stateKey}:${count}`));
+    }
+
+    // FNV-1a string hash to a 32-bit seed
+    hashString(text) {
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    // Small, fast seeded PRNG returning floats in [0, 1)
+    mulberry32(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Enhanced shuffle that ensures different orientation from previous
+    // avoidOrders lists extra orders to steer clear of (e.g. the solved order of an ordering question)
+    shuffleArrayDifferently(array, stateKey, avoidOrders = []) {
+        if (array.length <= 1) {
+            return array.map((_, i) => i); // Return indices for single item or empty
+        }
+
+        const indices = array.map((_, i) => i);
+        const random = this.createRandom(stateKey);
+        let newIndices;
+        let attempts = 0;
+        const maxAttempts = 50; // Prevent infinite loops
+        
+        do {
+            newIndices = this.shuffleArray(indices, random);
+            attempts++;
+        } while (
+            ((this.previousShuffleStates[stateKey] && 
+                this.arraysEqual(newIndices, this.previousShuffleStates[stateKey])) ||
+                avoidOrders.some(order => this.arraysEqual(newIndices, order))) && 
+            attempts < maxAttempts
+        );
+        
+        // Store the new state
+        this.previousShuffleStates[stateKey] = [...newIndices];
+        
+        return newIndices;
+    }
+
+    // Work a question's shuffle out once and reuse it whenever that question is shown again
+    getQuestionLayout(stateKey, createLayout) {
+        if (!(stateKey in this.questionLayouts)) {
+            this.questionLayouts[stateKey] = createLayout();
+        }
+        return this.questionLayouts[stateKey];
+    }
+
+    // Check if two arrays are equal
+    arraysEqual(arr1, arr2) {
+        if (arr1.length !== arr2.length) return false;
+        return arr1.every((val, index) => val === arr2[index]);
+    }
+
+    // Enhanced shuffle for True/False that ensures different orientation
+    shuffleTrueFalseDifferently(stateKey) {
+        const options = [
+            { value: 'true', label: 'True' },
+            { value: 'false', label: 'False' }
+        ];
+        
+        // For True/False, we just need to track if it was [T,F] or [F,T] last time
+        const previousWasTrueFirst = this.previousShuffleStates[stateKey];
+        const random = this.createRandom(stateKey);
+        const trueFirst = previousWasTrueFirst === undefined ? random() < 0.5 : !previousWasTrueFirst;
+        
+        this.previousShuffleStates[stateKey] = trueFirst;
+        
+        return trueFirst ? options : [options[1], options[0]];
+    }
+
+    // Fisher-Yates shuffle driven by the given random function (seeded via createRandom())
+    shuffleArray(array, random = Math.random) {
+        const shuffled = [...array];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    // Method to clear shuffle history (useful for quiz retries)
+    clearShuffleHistory() {
+        this.previousShuffleStates = {};
+        this.shuffleCounts = {};
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuizCore;
+}
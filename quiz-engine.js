@@ -1,141 +1,366 @@
-// Enhanced Quiz Engine - Ensures shuffled answers are always different from previous orientation
-class QuizEngine {
-    constructor(quizData) {
-        this.originalQuizData = quizData;
-        this.quizData = JSON.parse(JSON.stringify(quizData)); // Work with a copy
-        this.currentQuestionIndex = 0;
-        this.score = 0;
-        this.userAnswers = [];
-        this.isQuizComplete = false;
+// Enhanced Quiz Engine - Ensures shuffled answers are always different from previous orientation.
+// Renders a QuizCore (quiz-core.js, loaded first) in the page; state, options and grading live there.
+const QuizCoreBase = typeof QuizCore === 'undefined' ? require('./quiz-core') : QuizCore;
+
+class QuizEngine extends QuizCoreBase {
+    // engineOptions.plugins adds plugins for this engine only (see use() for every engine)
+    constructor(quizData, engineOptions = {}) {
+        super(quizData);
         this.shiftKeyPressed = false; // Track shift key state
         this.answerKeyVisible = false; // Track modal state
-        
-        // Store previous shuffle states to ensure different orientations
-        this.previousShuffleStates = {};
-        
-        // Global options (can be overridden per question)
-        this.globalOptions = {
-            shuffleQuestions: true, // Always enabled
-            shuffleAnswers: quizData.options?.shuffleAnswers ?? false,
-            caseSensitive: quizData.options?.caseSensitive ?? false,
-            orderSensitive: quizData.options?.orderSensitive ?? true,
-            shuffleChoices: quizData.options?.shuffleChoices ?? false,
-            shuffleMatches: quizData.options?.shuffleMatches ?? false,
-            unequalList: quizData.options?.unequalList ?? false
-        };
+        this.awaitingResume = false; // True while the resume prompt is shown
+        this.examTimerId = null;
 
-        this.questionOrder = []; // Store the order of questions after shuffling
-        
-        this.shuffledIndices = {}; // Store shuffle mappings for answer checking
+        // Events and plugins, set up before init() so plugins see the very first quizStart
+        this.listeners = {};
+        this.panels = [];
+        [...(QuizEngine.registeredPlugins || []), ...(engineOptions.plugins || [])]
+            .forEach(plugin => this.installPlugin(plugin));
         this.init();
     }
 
+    // ---- Events and plugins ----
+    //
+    // engine.on(name, handler) returns a function that removes the handler. Events and payloads:
+    //   quizStart       { quizId, title, questionCount, round, seed, resumed }
+    //   questionRender  { index, question, element }                 after a question is on screen
+    //   answerChanged   { index, question, answer, state }           every edit (state 'draft', or 'submitted' in exam mode)
+    //   answerGraded    { index, question, answer, isCorrect, credit, pointsEarned, final, attemptsLeft, score }
+    //   hintShown       { index, question, hint, hintNumber, hintCount }
+    //   answerKeyOpened { index, question }
+    //   quizComplete    { quizId, score, totalPoints, percentage, round, questionCount, hintsUsed, timedOut, results }
+    // index is the question's position in this attempt; question is the quiz data entry.
+
+    on(eventName, handler) {
+        (this.listeners[eventName] ||= []).push(handler);
+        return () => this.off(eventName, handler);
+    }
+
+    off(eventName, handler) {
+        this.listeners[eventName] = (this.listeners[eventName] || []).filter(listener => listener !== handler);
+    }
+
+    // A failing listener is logged and skipped so it can't break the quiz
+    emit(eventName, payload = {}) {
+        (this.listeners[eventName] || []).forEach(listener => {
+            try {
+                listener({ type: eventName, engine: this, ...payload });
+            } catch (e) {
+                console.error(`QuizEngine ${eventName} listener failed:`, e);
+            }
+        });
+    }
+
+    // Register a plugin for every QuizEngine created afterwards. A plugin is an object with any of:
+    //   name            for error messages
+    //   install(engine) called once per engine, e.g. to subscribe with engine.on()
+    //   questionTypes   { type: { label, render, attachListeners, getAnswer, restoreAnswer, isCorrect,
+    //                     getCredit, isComplete, formatAnswer, formatCorrectAnswer, describeOptions } } (see README)
+    //   gradingStrategies { name: (answer, question, options, isCorrect, engine) => credit from 0 to 1 },
+    //                     picked with the scoringPolicy option
+    //   panels          [{ id, location: 'question' | 'results', render(engine) => html }]
+    static use(plugin) {
+        (QuizEngine.registeredPlugins ||= []).push(plugin);
+    }
+
+    installPlugin(plugin) {
+        super.installPlugin(plugin);
+        this.panels.push(...(plugin.panels || []));
+        try {
+            plugin.install?.(this);
+        } catch (e) {
+            console.error(`QuizEngine plugin ${plugin.name || '(unnamed)'} failed to install:`, e);
+        }
+    }
+
+    // HTML of the plugin panels for one location, each in its own wrapper
+    renderPanels(location) {
+        return this.panels
+            .filter(panel => (panel.location || 'question') === location)
+            .map(panel => {
+                let html = '';
+                try {
+                    html = panel.render(this) || '';
+                } catch (e) {
+                    console.error(`QuizEngine panel ${panel.id} failed to render:`, e);
+                }
+                return `<div class="plugin-panel" data-panel="${this.escapeHtml(panel.id)}">${html}</div>`;
+            })
+            .join('');
+    }
+
+    // Re-render the question panels, e.g. from a plugin's answerGraded listener
+    updatePanels() {
+        const container = document.getElementById('pluginPanels');
+        if (container) container.innerHTML = this.renderPanels('question');
+    }
+
+    getQuizStartPayload(resumed) {
+        return {
+            quizId: this.getQuizId(),
+            title: this.originalQuizData.title,
+            questionCount: this.quizData.questions.length,
+            round: this.round,
+            seed: this.seed,
+            resumed
+        };
+    }
+
+    // ---- Loading quizzes from JSON files ----
+
+    // Turn a ?quiz= value into a URL: a bare id maps to Quizzes/<id>.json, anything
+    // with a slash or .json extension is treated as a relative path
+    static resolveQuizUrl(source, quizDirectory = 'Quizzes/') {
+        if (!source) {
+            throw new Error('No quiz specified. Open this page with ?quiz=<quiz id>, e.g. quiz.html?quiz=MQ1OS');
+        }
+        // Only same-site relative paths; no protocols, absolute or protocol-relative URLs,
+        // and no backslashes, which browsers read as slashes (\\evil.example is //evil.example)
+        if (/^[a-z][a-z0-9+.-]*:|^\/|\\|\.\./i.test(source)) {
+            throw new Error(`"${source}" is not a valid quiz id or path.`);
+        }
+        const url = source.includes('/') || source.endsWith('.json')
+            ? source
+            : `${quizDirectory}${encodeURIComponent(source)}.json`;
+        // Whatever the browser makes of it has to stay on this site
+        if (typeof location !== 'undefined' && new URL(url, location.href).origin !== location.origin) {
+            throw new Error(`"${source}" is not a valid quiz id or path.`);
+        }
+        return url;
+    }
+
+    static async loadQuizData(source) {
+        const url = QuizEngine.resolveQuizUrl(source);
+
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (e) {
+            throw new Error(`Could not reach ${url}. Quiz files must be served over http(s), not opened from disk.`);
+        }
+        if (!response.ok) {
+            throw new Error(response.status === 404
+                ? `Quiz "${source}" was not found (${url}).`
+                : `Could not load ${url} (HTTP ${response.status}).`);
+        }
+
+        let quizData;
+        try {
+            quizData = await response.json();
+        } catch (e) {
+            throw new Error(`${url} is not valid JSON: ${e.message}`);
+        }
+        if (!quizData || !Array.isArray(quizData.questions) || quizData.questions.length === 0) {
+            throw new Error(`${url} does not contain any questions.`);
+        }
+        return quizData;
+    }
+
+    // Shown in place of the quiz when loading fails
+    static showLoadError(message) {
+        const errorHtml = `
+            <div class="load-error">
+                <h2>Couldn't load this quiz</h2>
+                <p class="load-error-message"></p>
+                <a href="index.html" class="nav-button">Back to Home</a>
+            </div>
+        `;
+        document.getElementById('quizContent').innerHTML = errorHtml;
+        // textContent so file names and server messages can't inject markup
+        document.querySelector('.load-error-message').textContent = message;
+    }
+
     init() {
+        // Keep the original quiz layout so it can be restored after the results screen
+        this.quizContentHtml = document.getElementById('quizContent').innerHTML;
+        this.setupEventListeners();
+        this.setupKeyboardNavigation(); // Add keyboard navigation
+
+        const savedSession = this.loadSession();
+        if (savedSession) {
+            this.showResumePrompt(savedSession);
+        } else {
+            this.startQuiz();
+        }
+    }
+
+    startQuiz() {
         this.shuffleQuestions(); // Shuffle questions first
         this.renderQuizHeader();
+        this.emit('quizStart', this.getQuizStartPayload(false));
+        this.startExamTimer();
         this.renderQuestion();
-        this.setupEventListeners();
-        this.setupKeyboardNavigation(); // Add keyboard navigation
         this.updateProgress();
+        this.updateNavigation();
+        this.saveSession();
     }
 
-    // Method to reset quiz with new question shuffle
-    resetQuizWithNewShuffle() {
-        this.currentQuestionIndex = 0;
-        this.score = 0;
-        this.userAnswers = [];
-        this.isQuizComplete = false;
-        this.clearShuffleHistory();
-        this.quizData = JSON.parse(JSON.stringify(this.originalQuizData)); // Reset to original
-        this.shuffleQuestions(); // Shuffle again
+    // Method to reset quiz with new question shuffle.
+    // questionSubset (original question indices) limits the new attempt to those questions, e.g. the missed ones.
+    resetQuizWithNewShuffle(questionSubset = null) {
+        this.startAttempt(questionSubset);
         this.renderQuizHeader();
+        this.emit('quizStart', this.getQuizStartPayload(false));
+        this.startExamTimer();
         this.renderQuestion();
         this.updateProgress();
+        this.updateNavigation();
+        this.saveSession();
     }
 
-    // Shuffle questions - always enabled
-    shuffleQuestions() {
-        const stateKey = 'questions';
-        const questionIndices = this.shuffleArrayDifferently(this.quizData.questions, stateKey);
-        
-        // Reorder questions based on shuffled indices
-        const shuffledQuestions = questionIndices.map(i => this.originalQuizData.questions[i]);
-        this.quizData.questions = shuffledQuestions;
-        
-        // Store the question order for reference
-        this.questionOrder = questionIndices;
+    // Start over on purpose (e.g. "Try Again"), discarding any saved progress
+    startNewSession(questionSubset = null) {
+        this.clearSession();
+        this.restoreQuizContent();
+        if (this.isQuizComplete) {
+            this.setupKeyboardNavigation(); // Removed by showResults()
+        }
+        if (!questionSubset) {
+            this.round = 1;
+        }
+        this.resetQuizWithNewShuffle(questionSubset);
     }
 
-    // Get options for current question (question options override global options)
-    getQuestionOptions(question) {
-        return {
-            shuffleAnswers: question.questionOptions?.shuffleAnswers ?? this.globalOptions.shuffleAnswers,
-            caseSensitive: question.questionOptions?.caseSensitive ?? this.globalOptions.caseSensitive,
-            orderSensitive: question.questionOptions?.orderSensitive ?? this.globalOptions.orderSensitive,
-            shuffleChoices: question.questionOptions?.shuffleChoices ?? this.globalOptions.shuffleChoices,
-            shuffleMatches: question.questionOptions?.shuffleMatches ?? this.globalOptions.shuffleMatches,
-            unequalList: question.questionOptions?.unequalList ?? this.globalOptions.unequalList
-        };
+    // "Retry Missed Only": a new round with just the questions that weren't right
+    retryMissedQuestions() {
+        const missed = this.getMissedQuestionIndices();
+        if (missed.length === 0) return;
+
+        this.round++;
+        this.startNewSession(missed);
+    }
+
+    // Put back the question/navigation layout replaced by the results screen or resume prompt
+    restoreQuizContent() {
+        document.getElementById('quizContent').innerHTML = this.quizContentHtml;
+    }
+
+    // ---- Session persistence (localStorage) ----
+
+    static getSessionKeyFor(quizId) {
+        return `quizEngine:session:${quizId}`;
+    }
+
+    getSessionKey() {
+        return QuizEngine.getSessionKeyFor(this.getQuizId());
     }
 
-    // Enhanced shuffle that ensures different orientation from previous
-    shuffleArrayDifferently(array, stateKey) {
-        if (array.length <= 1) {
-            return array.map((_, i) => i); // Return indices for single item or empty
+    // Sessions are saved unless the quiz opts out (e.g. generated review sessions)
+    isSessionPersistent() {
+        return this.originalQuizData.options?.persistSession !== false;
+    }
+
+    // localStorage can be missing or throw (private mode, file:// in some browsers)
+    getStorage() {
+        try {
+            return window.localStorage || null;
+        } catch (e) {
+            return null;
         }
+    }
 
-        const indices = array.map((_, i) => i);
-        let newIndices;
-        let attempts = 0;
-        const maxAttempts = 50; // Prevent infinite loops
-        
-        do {
-            newIndices = this.shuffleArray(indices);
-            attempts++;
-        } while (
-            this.previousShuffleStates[stateKey] && 
-            this.arraysEqual(newIndices, this.previousShuffleStates[stateKey]) && 
-            attempts < maxAttempts
-        );
-        
-        // Store the new state
-        this.previousShuffleStates[stateKey] = [...newIndices];
-        
-        return newIndices;
+    saveSession() {
+        const storage = this.getStorage();
+        if (!storage || this.isQuizComplete || !this.isSessionPersistent()) return;
+
+        try {
+            storage.setItem(this.getSessionKey(), JSON.stringify(this.getSessionState()));
+        } catch (e) {
+            console.warn('Could not save quiz session:', e);
+        }
     }
 
-    // Check if two arrays are equal
-    arraysEqual(arr1, arr2) {
-        if (arr1.length !== arr2.length) return false;
-        return arr1.every((val, index) => val === arr2[index]);
+    loadSession() {
+        const storage = this.getStorage();
+        if (!storage || !this.isSessionPersistent()) return null;
+
+        let session;
+        try {
+            session = JSON.parse(storage.getItem(this.getSessionKey()));
+        } catch (e) {
+            return null;
+        }
+
+        if (!this.isValidSession(session)) {
+            this.clearSession();
+            return null;
+        }
+        return session;
     }
 
-    // Enhanced shuffle for True/False that ensures different orientation
-    shuffleTrueFalseDifferently(stateKey) {
-        const options = [
-            { value: 'true', label: 'True' },
-            { value: 'false', label: 'False' }
-        ];
-        
-        // For True/False, we just need to track if it was [T,F] or [F,T] last time
-        const previousWasTrueFirst = this.previousShuffleStates[stateKey];
-        const trueFirst = previousWasTrueFirst === undefined ? Math.random() < 0.5 : !previousWasTrueFirst;
-        
-        this.previousShuffleStates[stateKey] = trueFirst;
-        
-        return trueFirst ? options : [options[1], options[0]];
+    clearSession() {
+        const storage = this.getStorage();
+        if (storage) {
+            storage.removeItem(this.getSessionKey());
+        }
+    }
+
+    showResumePrompt(session) {
+        this.awaitingResume = true;
+        this.pendingSession = session;
+        this.renderQuizHeader();
+
+        const answeredCount = session.userAnswers.filter(answer => answer !== null && answer !== undefined).length;
+        const savedAt = new Date(session.savedAt).toLocaleString();
+
+        document.getElementById('quizContent').innerHTML = `
+            <div class="resume-container">
+                <h2>Resume where you left off?</h2>
+                <p class="resume-details">
+                    You were on question ${session.currentQuestionIndex + 1} of ${session.questionOrder.length}
+                    with ${answeredCount} answered (score ${this.formatPoints(session.score)}).
+                </p>
+                <p class="resume-saved-at">Last saved ${savedAt}</p>
+                <div class="resume-actions">
+                    <button id="resumeBtn" class="retry-button">Resume</button>
+                    <button id="startFreshBtn" class="nav-button">Start Fresh</button>
+                </div>
+            </div>
+        `;
+    }
+
+    resumeSession() {
+        const session = this.pendingSession;
+        this.awaitingResume = false;
+        this.pendingSession = null;
+
+        this.restoreSessionState(session);
+        this.restoreQuizContent();
+        this.renderQuizHeader();
+        this.emit('quizStart', this.getQuizStartPayload(true));
+        this.startExamTimer();
+        if (this.isQuizComplete) return; // The exam ran out of time while away
+
+        this.renderQuestion();
+        this.updateProgress();
+        this.updateNavigation();
+    }
+
+    startFresh() {
+        this.awaitingResume = false;
+        this.pendingSession = null;
+        this.clearSession();
+        this.restoreQuizContent();
+        this.startQuiz();
     }
 
     renderQuizHeader() {
+        // Exam mode hides the running score; show the countdown and how much has been answered instead
+        const statusHtml = this.isExamMode()
+            ? `<span class="exam-timer" id="examTimer"></span>
+                    <span class="score-display">Answered: <span id="answeredCount">${this.getAnsweredCount()}</span>/${this.quizData.questions.length}</span>`
+            : `<span class="score-display">Score: <span id="currentScore">${this.formatPoints(this.score)}</span>/${this.formatPoints(this.getTotalPoints())}</span>`;
+
         const headerHtml = `
             <div class="quiz-header">
-                <h1 class="quiz-title">${this.originalQuizData.title}</h1>
-                <p>${this.originalQuizData.description}</p> 
+                <h1 class="quiz-title">${this.escapeHtml(this.originalQuizData.title)}</h1>
+                <p>${this.formatContent(this.originalQuizData.description)}</p> 
+                ${this.round > 1 ? `<p class="round-note">Round ${this.round} · retrying ${this.quizData.questions.length} missed question${this.quizData.questions.length === 1 ? '' : 's'}</p>` : ''}
                 <div class="quiz-progress">
                     <div class="progress-bar">
                         <div class="progress-fill" id="progressFill"></div>
                     </div>
-                    <span class="score-display">Score: <span id="currentScore">0</span>/${this.quizData.questions.length}</span>
+                    ${statusHtml}
                 </div>
             </div>
         `;
@@ -145,27 +370,48 @@ class QuizEngine {
     renderQuestion() {
         const question = this.quizData.questions[this.currentQuestionIndex];
         const questionOptions = this.getQuestionOptions(question);
+        document.getElementById('questionContainer').innerHTML = this.getQuestionHtml(question, questionOptions);
+        
+        // Add event listeners based on question type
+        this.attachQuestionListeners(question);
+        this.restoreQuestionState(question);
+        this.updateAnswerActions();
+
+        if (this.isExamMode()) {
+            this.startQuestionTimer();
+            if (this.isQuestionLocked(this.currentQuestionIndex)) {
+                this.lockCurrentQuestion();
+            }
+        }
         
-        let questionHtml = `
+        // Update answer key modal
+        this.updateAnswerKey(question, questionOptions);
+
+        this.emit('questionRender', {
+            index: this.currentQuestionIndex,
+            question,
+            element: document.querySelector('#questionContainer .question-container')
+        });
+    }
+
+    // Markup for the question at currentQuestionIndex, before any listeners or saved answers
+    getQuestionHtml(question, questionOptions) {
+        return `
             <div class="question-container">
                 <div class="question-header">
-                <span class="question-number">Question ${this.currentQuestionIndex + 1} (Originally #${this.questionOrder[this.currentQuestionIndex] + 1})</span>                    <span class="question-type">${this.getQuestionTypeLabel(question.type)}</span>
+                <span class="question-number">Question ${this.currentQuestionIndex + 1} (Originally #${this.questionOrder[this.currentQuestionIndex] + 1})</span>                    <span class="question-type">${this.escapeHtml(this.getQuestionTypeLabel(question.type))}</span>
                 </div>
-                <div class="question-text">${question.question}</div>
-                ${this.getActiveOptionsDisplay(questionOptions, question.type)}
+                <div class="question-text">${this.formatContent(this.getQuestionPrompt(question), question)}</div>
+                ${this.getActiveOptionsDisplay(questionOptions, question.type, question)}
                 <div id="answerArea">
                     ${this.renderAnswerInput(question, questionOptions)}
                 </div>
+                <div id="answerActions" class="answer-actions"></div>
+                <div id="hintArea">${this.renderHints(question)}</div>
                 <div id="feedbackArea"></div>
+                <div id="pluginPanels" class="plugin-panels">${this.renderPanels('question')}</div>
             </div>
         `;
-        document.getElementById('questionContainer').innerHTML = questionHtml;
-        
-        // Add event listeners based on question type
-        this.attachQuestionListeners(question);
-        
-        // Update answer key modal
-        this.updateAnswerKey(question, questionOptions);
     }
 
     renderAnswerInput(question, options) {
@@ -182,9 +428,35 @@ class QuizEngine {
                 return this.renderTrueFalse(question, options);
             case 'enumeration':
                 return this.renderEnumeration(question);
-            default:
-                return '<p>Unknown question type</p>';
+            case 'cloze':
+                return this.renderCloze(question);
+            case 'ordering':
+                return this.renderOrdering(question);
+            case 'numeric':
+                return this.renderNumericInput(question);
+            default: {
+                const plugin = this.getQuestionTypePlugin(question.type);
+                return plugin ? plugin.render(question, options, this) : '<p>Unknown question type</p>';
+            }
+        }
+    }
+
+    // Text shown above the answer area; cloze sentences are rendered inside it instead
+    getQuestionPrompt(question) {
+        if (question.type === 'cloze') {
+            return question.instructions || 'Fill in the blanks.';
+        }
+        return question.question;
+    }
+
+    // Question text (as HTML) for places that show it without inputs (answer key, results review)
+    getQuestionDisplayText(question) {
+        if (question.type === 'cloze') {
+            return this.parseCloze(question.question).parts
+                .map(part => typeof part === 'string' ? this.formatContent(part, question) : '_____')
+                .join('');
         }
+        return this.formatContent(question.question, question);
     }
 
     renderMultipleChoice(question, options) {
@@ -192,7 +464,7 @@ class QuizEngine {
         
         if (options.shuffleAnswers) {
             const stateKey = `mc_${this.currentQuestionIndex}`;
-            indexMapping = this.shuffleArrayDifferently(question.options, stateKey);
+            indexMapping = this.getQuestionLayout(stateKey, () => this.shuffleArrayDifferently(question.options, stateKey));
         }
         
         const displayOptions = indexMapping.map(i => question.options[i]);
@@ -207,7 +479,7 @@ class QuizEngine {
                     return `
                         <label class="option" data-index="${originalIndex}">
                             <input type="radio" name="q${this.currentQuestionIndex}" value="${originalIndex}">
-                            <span>${option}</span>
+                            <span>${this.formatContent(option, question)}</span>
                         </label>
                     `;
                 }).join('')}
@@ -220,7 +492,7 @@ class QuizEngine {
         
         if (options.shuffleAnswers) {
             const stateKey = `ma_${this.currentQuestionIndex}`;
-            indexMapping = this.shuffleArrayDifferently(question.options, stateKey);
+            indexMapping = this.getQuestionLayout(stateKey, () => this.shuffleArrayDifferently(question.options, stateKey));
         }
         
         const displayOptions = indexMapping.map(i => question.options[i]);
@@ -235,7 +507,7 @@ class QuizEngine {
                     return `
                         <label class="option" data-index="${originalIndex}">
                             <input type="checkbox" name="q${this.currentQuestionIndex}" value="${originalIndex}">
-                            <span>${option}</span>
+                            <span>${this.formatContent(option, question)}</span>
                         </label>
                     `;
                 }).join('')}
@@ -250,12 +522,19 @@ class QuizEngine {
         `;
     }
 
+    renderNumericInput(question) {
+        return `
+            <input type="text" class="text-input" id="numericAnswer" inputmode="decimal"
+                   placeholder="Enter a number, e.g. 6.5 or 13/2" autocomplete="off">
+        `;
+    }
+
     renderTrueFalse(question, options) {
         let tfOptions;
         
         if (options.shuffleAnswers) {
             const stateKey = `tf_${this.currentQuestionIndex}`;
-            tfOptions = this.shuffleTrueFalseDifferently(stateKey);
+            tfOptions = this.getQuestionLayout(stateKey, () => this.shuffleTrueFalseDifferently(stateKey));
         } else {
             tfOptions = [
                 { value: 'true', label: 'True' },
@@ -290,19 +569,56 @@ class QuizEngine {
         `;
     }
 
+    renderCloze(question) {
+        const { parts, blanks } = this.parseCloze(question.question);
+        // Every blank gets the width of the longest answer in the whole question, so no blank's size hints at its answer
+        const width = Math.max(8, ...blanks.flat().map(answer => answer.length)) + 2;
+        return `
+            <div class="cloze-container">
+                ${parts.map(part => {
+                    if (typeof part === 'string') return this.formatContent(part, question);
+                    return `<input type="text" class="text-input cloze-input" data-index="${part.blankIndex}"
+                                   size="${width}" aria-label="Blank ${part.blankIndex + 1}" autocomplete="off">`;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    // Items are listed in the correct order in the data; always start from a shuffled, unsolved order
+    renderOrdering(question) {
+        const stateKey = `ordering_${this.currentQuestionIndex}`;
+        const solvedOrder = question.items.map((_, i) => i);
+        const startOrder = this.getQuestionLayout(stateKey, () => this.shuffleArrayDifferently(question.items, stateKey, [solvedOrder]));
+
+        return `
+            <ol class="ordering-list" aria-label="Drag items, or focus one and use the arrow keys, to put them in order">
+                ${startOrder.map(itemIndex => `
+                    <li class="ordering-item" draggable="true" tabindex="0" data-item-index="${itemIndex}">
+                        <span class="ordering-handle" aria-hidden="true">⋮⋮</span>
+                        <span class="ordering-text">${this.formatContent(question.items[itemIndex], question)}</span>
+                        <span class="ordering-controls">
+                            <button type="button" class="ordering-move" data-direction="-1" aria-label="Move up">▲</button>
+                            <button type="button" class="ordering-move" data-direction="1" aria-label="Move down">▼</button>
+                        </span>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+
     renderMatching(question, options) {
         let displayItems = [...question.items];
         let displayMatches = [...question.matches];
         
         if (options.shuffleChoices) {
             const stateKey = `matching_items_${this.currentQuestionIndex}`;
-            const itemIndices = this.shuffleArrayDifferently(question.items, stateKey);
+            const itemIndices = this.getQuestionLayout(stateKey, () => this.shuffleArrayDifferently(question.items, stateKey));
             displayItems = itemIndices.map(i => question.items[i]);
         }
         
         if (options.shuffleMatches) {
             const stateKey = `matching_matches_${this.currentQuestionIndex}`;
-            const matchIndices = this.shuffleArrayDifferently(question.matches, stateKey);
+            const matchIndices = this.getQuestionLayout(stateKey, () => this.shuffleArrayDifferently(question.matches, stateKey));
             displayMatches = matchIndices.map(i => question.matches[i]);
         }
         
@@ -310,32 +626,42 @@ class QuizEngine {
         if (options.unequalList) {
             const dummyItems = ['Distractor A', 'Distractor B'];
             const dummyMatches = ['Extra Option 1', 'Extra Option 2'];
-            const numDummyItems = Math.floor(Math.random() * 2) + 1;
-            const numDummyMatches = Math.floor(Math.random() * 2) + 1;
+            const stateKey = `matching_extras_${this.currentQuestionIndex}`;
+            const [numDummyItems, numDummyMatches] = this.getQuestionLayout(stateKey, () => {
+                const random = this.createRandom(stateKey);
+                return [Math.floor(random() * 2) + 1, Math.floor(random() * 2) + 1];
+            });
             displayItems = [...displayItems, ...dummyItems.slice(0, numDummyItems)];
             displayMatches = [...displayMatches, ...dummyMatches.slice(0, numDummyMatches)];
         }
         
+        // Elements carry indices into these lists rather than the text itself
+        this.matchingDisplay = { items: displayItems, matches: displayMatches };
+        
         return `
+            <p class="matching-help" id="matchingHelp">Drag an item onto a match, or select an item and then select its match. Select a filled match again to clear it.</p>
             <div class="matching-container">
-                <div class="matching-column">
+                <div class="matching-column" role="group" aria-label="Items">
                     <h4>Items</h4>
                     ${displayItems.map((item, index) => `
-                        <div class="matching-item" draggable="true" data-item="${item}">
-                            ${item}
+                        <div class="matching-item" draggable="true" data-item-index="${index}"
+                             role="button" tabindex="0" aria-pressed="false" aria-describedby="matchingHelp">
+                            ${this.formatContent(item, question)}
                         </div>
                     `).join('')}
                 </div>
-                <div class="matching-column">
+                <div class="matching-column" role="group" aria-label="Matches">
                     <h4>Match With</h4>
                     ${displayMatches.map((match, index) => `
-                        <div class="drop-zone" data-match="${match}">
-                            <div class="match-label">${match}</div>
-                            <div class="dropped-item" title="Click to remove"></div>
+                        <div class="drop-zone" data-match-index="${index}" role="button" tabindex="0"
+                             aria-label="${this.escapeHtml(match)}: empty" aria-describedby="matchingHelp">
+                            <div class="match-label" aria-hidden="true">${this.formatContent(match, question)}</div>
+                            <div class="dropped-item" title="Click to remove" aria-hidden="true"></div>
                         </div>
                     `).join('')}
                 </div>
             </div>
+            <div class="sr-only" id="matchingAnnouncer" aria-live="polite"></div>
         `;
     }
 
@@ -354,59 +680,152 @@ class QuizEngine {
             case 'enumeration':
                 this.attachEnumerationListeners();
                 break;
+            case 'cloze':
+                this.attachClozeListeners();
+                break;
+            case 'ordering':
+                this.attachOrderingListeners();
+                break;
+            case 'numeric':
+                this.attachTextInputListener('numericAnswer');
+                break;
             case 'matching':
                 this.attachMatchingListeners();
                 break;
+            default:
+                // Plugin inputs call engine.onAnswerChanged() whenever the answer changes
+                this.getQuestionTypePlugin(question.type)?.attachListeners?.(question, document.getElementById('answerArea'), this);
+                break;
         }
     }
 
     attachRadioListeners() {
         const radios = document.querySelectorAll('input[type="radio"]');
         radios.forEach(radio => {
-            radio.addEventListener('change', () => this.checkAnswer());
+            radio.addEventListener('change', () => this.onAnswerChanged());
         });
     }
 
     attachCheckboxListeners() {
         const checkboxes = document.querySelectorAll('input[type="checkbox"]');
         checkboxes.forEach(checkbox => {
-            checkbox.addEventListener('change', () => this.checkAnswer());
+            checkbox.addEventListener('change', () => this.onAnswerChanged());
         });
     }
 
-    attachTextInputListener() {
-        const input = document.getElementById('textAnswer');
+    attachTextInputListener(inputId = 'textAnswer') {
+        const input = document.getElementById(inputId);
         if (input) {
-            input.addEventListener('input', () => {
-                clearTimeout(this.inputTimeout);
-                this.inputTimeout = setTimeout(() => this.checkAnswer(), 500);
-            });
+            input.addEventListener('input', () => this.onAnswerChanged());
         }
     }
 
     attachEnumerationListeners() {
         const inputs = document.querySelectorAll('.enumeration-input');
         inputs.forEach(input => {
-            input.addEventListener('input', () => {
-                clearTimeout(this.inputTimeout);
-                this.inputTimeout = setTimeout(() => this.checkAnswer(), 500);
-            });
+            input.addEventListener('input', () => this.onAnswerChanged());
         });
     }
 
+    attachClozeListeners() {
+        const inputs = document.querySelectorAll('.cloze-input');
+        inputs.forEach(input => {
+            input.addEventListener('input', () => this.onAnswerChanged());
+        });
+    }
+
+    attachOrderingListeners() {
+        const list = document.querySelector('.ordering-list');
+        if (!list) return;
+        let draggedItem = null;
+
+        list.addEventListener('dragstart', (e) => {
+            draggedItem = e.target.closest('.ordering-item');
+            if (!draggedItem) return;
+            draggedItem.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', draggedItem.dataset.itemIndex); // Firefox needs data to start a drag
+        });
+
+        list.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            const target = e.target.closest('.ordering-item');
+            if (!draggedItem || !target || target === draggedItem) return;
+
+            // Drop above or below the hovered item depending on which half the pointer is in
+            const rect = target.getBoundingClientRect();
+            const after = e.clientY > rect.top + rect.height / 2;
+            list.insertBefore(draggedItem, after ? target.nextSibling : target);
+        });
+
+        list.addEventListener('drop', (e) => e.preventDefault());
+
+        list.addEventListener('dragend', () => {
+            if (!draggedItem) return;
+            draggedItem.classList.remove('dragging');
+            draggedItem = null;
+            this.onOrderingChanged();
+        });
+
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('.ordering-move');
+            if (button) {
+                this.moveOrderingItem(button.closest('.ordering-item'), parseInt(button.dataset.direction), button);
+            }
+        });
+
+        // Arrow up/down on a focused item moves it
+        list.addEventListener('keydown', (e) => {
+            const item = e.target.closest('.ordering-item');
+            if (!item || e.target !== item || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+            e.preventDefault();
+            this.moveOrderingItem(item, e.key === 'ArrowUp' ? -1 : 1, item);
+        });
+    }
+
+    moveOrderingItem(item, direction, focusTarget) {
+        if (!this.canEditAnswer(this.currentQuestionIndex)) return;
+        const sibling = direction < 0 ? item.previousElementSibling : item.nextElementSibling;
+        if (!sibling) return;
+
+        item.parentNode.insertBefore(item, direction < 0 ? sibling : sibling.nextSibling);
+        focusTarget.focus(); // Moving the node drops focus; keep it on what the user was using
+        this.onOrderingChanged();
+    }
+
+    onOrderingChanged() {
+        document.querySelectorAll('.ordering-item').forEach(item => {
+            item.classList.remove('correct-position', 'incorrect-position');
+        });
+        this.onAnswerChanged();
+    }
+
     attachMatchingListeners() {
         const items = document.querySelectorAll('.matching-item');
         const zones = document.querySelectorAll('.drop-zone');
+        // Tap/keyboard alternative to drag and drop: select an item, then select a zone
+        this.selectedMatchItem = null;
         
         items.forEach(item => {
             item.addEventListener('dragstart', (e) => {
-                e.dataTransfer.setData('itemText', e.target.dataset.item);
+                e.dataTransfer.setData('text/plain', item.dataset.itemIndex);
                 e.target.classList.add('dragging');
             });
             
             item.addEventListener('dragend', (e) => {
                 e.target.classList.remove('dragging');
             });
+
+            item.addEventListener('click', () => this.selectMatchItem(item));
+            item.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    e.stopPropagation(); // Enter shouldn't also advance to the next question
+                    this.selectMatchItem(item);
+                } else if (e.key === 'Escape' && this.selectedMatchItem) {
+                    this.selectMatchItem(null);
+                }
+            });
         });
         
         zones.forEach(zone => {
@@ -421,59 +840,546 @@ class QuizEngine {
             
             zone.addEventListener('drop', (e) => {
                 e.preventDefault();
-                const itemText = e.dataTransfer.getData('itemText');
-                const droppedItemDiv = zone.querySelector('.dropped-item');
-                
-                // Clear any existing item in this zone
-                droppedItemDiv.innerHTML = itemText;
                 zone.classList.remove('drag-over');
-                
-                // Check this individual match immediately
-                this.checkIndividualMatch(zone, itemText);
-                
-                // Also check overall answer status
-                this.checkAnswer();
+                this.placeItemInZone(zone, e.dataTransfer.getData('text/plain'));
             });
             
-            // Allow clicking to remove items from zones
-            zone.addEventListener('click', (e) => {
-                if (e.target.classList.contains('dropped-item') && e.target.textContent.trim()) {
-                    e.target.innerHTML = '';
-                    zone.classList.remove('correct-match', 'incorrect-match');
-                    this.checkAnswer();
+            // Place the selected item, or with nothing selected, clicking a filled zone clears it
+            zone.addEventListener('click', () => this.activateDropZone(zone));
+            zone.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.activateDropZone(zone);
+                } else if (e.key === 'Delete' || e.key === 'Backspace') {
+                    e.preventDefault();
+                    this.clearDropZone(zone);
+                } else if (e.key === 'Escape' && this.selectedMatchItem) {
+                    this.selectMatchItem(null);
                 }
             });
         });
     }
 
-    checkAnswer() {
-        const question = this.quizData.questions[this.currentQuestionIndex];
-        const questionOptions = this.getQuestionOptions(question);
-        let userAnswer = this.getUserAnswer(question.type);
-        let isCorrect = this.isAnswerCorrect(userAnswer, question, questionOptions);
-        
-        this.showFeedback(isCorrect, question);
-        this.updateVisualFeedback(isCorrect, question.type);
-        
-        // Update score only once per question
-        if (!this.userAnswers[this.currentQuestionIndex]) {
-            if (isCorrect) {
-                this.score++;
-                document.getElementById('currentScore').textContent = this.score;
-            }
-            this.userAnswers[this.currentQuestionIndex] = userAnswer;
+    // Toggle the tap/keyboard selection; pass null to clear it
+    selectMatchItem(item) {
+        if (item && !this.canEditAnswer(this.currentQuestionIndex)) return;
+        const previous = this.selectedMatchItem;
+        if (previous) {
+            previous.classList.remove('selected');
+            previous.setAttribute('aria-pressed', 'false');
+        }
+
+        this.selectedMatchItem = item && item !== previous ? item : null;
+        document.querySelector('.matching-container')?.classList.toggle('has-selection', !!this.selectedMatchItem);
+
+        if (this.selectedMatchItem) {
+            this.selectedMatchItem.classList.add('selected');
+            this.selectedMatchItem.setAttribute('aria-pressed', 'true');
+            const itemText = this.matchingDisplay.items[this.selectedMatchItem.dataset.itemIndex];
+            this.announceMatching(`${itemText} selected. Now choose its match.`);
+        } else if (previous) {
+            this.announceMatching('Selection cleared.');
+        }
+    }
+
+    activateDropZone(zone) {
+        if (this.selectedMatchItem) {
+            const item = this.selectedMatchItem;
+            this.selectMatchItem(null);
+            this.placeItemInZone(zone, item.dataset.itemIndex);
+            // Carry on with the next item so keyboard users don't have to tab back
+            const items = Array.from(document.querySelectorAll('.matching-item'));
+            (items[items.indexOf(item) + 1] || item).focus();
+        } else if (zone.dataset.placedIndex !== undefined) {
+            this.clearDropZone(zone);
+        } else {
+            this.announceMatching('Select an item first, then choose its match.');
+        }
+    }
+
+    // Shared by drag-and-drop and tap/keyboard placement; itemIndex points into matchingDisplay.items
+    placeItemInZone(zone, itemIndex) {
+        const itemText = this.matchingDisplay?.items[itemIndex];
+        if (!this.canEditAnswer(this.currentQuestionIndex) || itemText === undefined) return;
+        const question = this.quizData.questions[this.currentQuestionIndex];
+
+        this.fillDropZone(zone, itemIndex, question);
+        this.announceMatching(`${itemText} matched with ${this.getZoneMatch(zone)}.`);
+        this.onAnswerChanged();
+    }
+
+    // Replaces any item already in this zone; it is marked right or wrong once the answer is submitted
+    fillDropZone(zone, itemIndex, question) {
+        zone.dataset.placedIndex = itemIndex;
+        zone.querySelector('.dropped-item').innerHTML = this.formatContent(this.matchingDisplay.items[itemIndex], question);
+        zone.classList.remove('correct-match', 'incorrect-match');
+        zone.querySelector('.match-feedback')?.remove();
+        this.updateDropZoneLabel(zone);
+    }
+
+    clearDropZone(zone) {
+        // Graded answers and timed-out questions keep what they were marked on (the keyboard still reaches them)
+        if (!this.canEditAnswer(this.currentQuestionIndex)) return;
+        const itemText = this.getZoneItem(zone);
+        if (itemText === undefined) return;
+
+        delete zone.dataset.placedIndex;
+        zone.querySelector('.dropped-item').innerHTML = '';
+        zone.classList.remove('correct-match', 'incorrect-match');
+        zone.querySelector('.match-feedback')?.remove();
+        this.updateDropZoneLabel(zone);
+        this.announceMatching(`${itemText} removed from ${this.getZoneMatch(zone)}.`);
+        this.onAnswerChanged();
+    }
+
+    // Plain text of the match a zone stands for, and of the item placed in it (undefined when empty)
+    getZoneMatch(zone) {
+        return this.matchingDisplay?.matches[zone.dataset.matchIndex];
+    }
+
+    getZoneItem(zone) {
+        return zone.dataset.placedIndex === undefined ? undefined : this.matchingDisplay?.items[zone.dataset.placedIndex];
+    }
+
+    updateDropZoneLabel(zone) {
+        const itemText = this.getZoneItem(zone);
+        let label = `${this.getZoneMatch(zone)}: ${itemText !== undefined ? `matched with ${itemText}` : 'empty'}`;
+        if (zone.classList.contains('correct-match')) label += ', correct';
+        if (zone.classList.contains('incorrect-match')) label += ', incorrect';
+        zone.setAttribute('aria-label', label);
+    }
+
+    announceMatching(message) {
+        const announcer = document.getElementById('matchingAnnouncer');
+        if (announcer) announcer.textContent = message;
+    }
+
+    // ---- Answer lifecycle: draft → submitted → graded ----
+
+    // Every edit lands here; nothing is scored until the answer is submitted
+    onAnswerChanged() {
+        const index = this.currentQuestionIndex;
+        const question = this.quizData.questions[index];
+        if (!this.canEditAnswer(index)) return;
+        const answer = this.getUserAnswer(question.type);
+        const state = this.saveDraft(index, answer);
+
+        // Exam mode commits the latest answer right away and grades everything on submit
+        if (state === 'submitted') {
+            document.getElementById('answeredCount').textContent = this.getAnsweredCount();
+            this.saveSession();
+            this.emit('answerChanged', { index, question, answer, state });
+            return;
+        }
+
+        this.clearAnswerMarks();
+        this.updateAnswerActions();
+        this.saveSession();
+        this.emit('answerChanged', { index, question, answer, state });
+
+        if (this.getQuestionOptions(question).autoSubmit && this.isAnswerComplete(question, answer)) {
+            this.submitAnswer();
+        }
+    }
+
+    // Whether autoSubmit can tell the answer is finished; typed answers, multiple-answer
+    // and ordering can always be changed further, so they wait for Submit
+    isAnswerComplete(question, answer) {
+        switch (question.type) {
+            case 'multiple-choice':
+            case 'true-false':
+                return this.hasAnswer(answer);
+            case 'matching':
+                // Every zone that has a match filled; unequalList distractor zones don't count
+                return Object.keys(question.correctMatches || {}).every(match => answer?.[match] !== undefined);
+            default:
+                return Boolean(this.getQuestionTypePlugin(question.type)?.isComplete?.(question, answer, this));
+        }
+    }
+
+    canSubmitAnswer() {
+        const index = this.currentQuestionIndex;
+        const question = this.quizData.questions[index];
+        // After a wrong attempt the answer has to change first (saveDraft() clears retryFeedback),
+        // so a stray Enter moves on instead of spending another attempt on the same answer
+        return !this.isExamMode() && this.canEditAnswer(index) && !this.retryFeedback[index] &&
+            this.hasAnswer(this.getUserAnswer(question.type));
+    }
+
+    submitAnswer() {
+        if (!this.canSubmitAnswer()) return;
+        const question = this.quizData.questions[this.currentQuestionIndex];
+        this.checkAnswer(this.getUserAnswer(question.type));
+    }
+
+    // Submit and grade the answer on screen (see gradeSubmission()); a wrong answer with
+    // attempts left gets feedback and stays editable
+    checkAnswer(userAnswer) {
+        const index = this.currentQuestionIndex;
+        const question = this.quizData.questions[index];
+        const result = this.gradeSubmission(index, userAnswer);
+        this.showAnswerResult(question, userAnswer, result.attemptsLeft);
+
+        if (!result.final) {
+            this.updateAnswerActions();
+            this.saveSession();
+            this.emit('answerGraded', result);
+            return;
+        }
+
+        document.getElementById('currentScore').textContent = this.formatPoints(this.score);
+        this.recordReviewOutcome(question, result.isCorrect, index);
+        this.disableAnswerInputs();
+        this.updateHints(); // Hints can't lower a score that's already been given
+        this.updateAnswerActions();
+        this.saveSession();
+        this.emit('answerGraded', result);
+    }
+
+    // Feedback and right/wrong marks for a submitted answer (also used to show them again on return)
+    showAnswerResult(question, answer, attemptsLeft = 0) {
+        const { isCorrect, credit } = this.gradeAnswer(answer, question);
+
+        this.showFeedback(isCorrect, question, credit);
+        this.updateVisualFeedback(isCorrect, question.type);
+
+        if (!isCorrect && attemptsLeft > 0) {
+            const attemptsNote = attemptsLeft === Infinity
+                ? 'Change your answer and submit again.'
+                : `${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left.`;
+            document.querySelector('#feedbackArea .feedback')
+                ?.insertAdjacentHTML('beforeend', `<div class="attempts-note">${attemptsNote}</div>`);
+        }
+        return { isCorrect, credit };
+    }
+
+    // Put a question back the way it was left: answer, right/wrong marks and feedback, locked inputs
+    restoreQuestionState(question) {
+        const index = this.currentQuestionIndex;
+        const answer = this.draftAnswers[index] ?? this.userAnswers[index];
+        if (answer === undefined || answer === null) return;
+        this.restoreAnswer(question, answer);
+
+        if (this.isExamMode()) return; // Exams stay without feedback; timed-out questions lock in renderQuestion()
+        if (this.getAnswerState(index) === 'graded') {
+            this.showAnswerResult(question, answer);
+            this.disableAnswerInputs();
+        } else if (this.retryFeedback[index]) {
+            this.showAnswerResult(question, answer, this.getAttemptsLeft(question, index));
+        }
+    }
+
+    // Fill the freshly rendered inputs with a stored answer (the inverse of getUserAnswer())
+    restoreAnswer(question, answer) {
+        const answerArea = document.getElementById('answerArea');
+        switch (question.type) {
+            case 'multiple-choice':
+            case 'true-false':
+                answerArea.querySelectorAll('input[type="radio"]').forEach(radio => {
+                    radio.checked = radio.value === String(answer);
+                });
+                break;
+            case 'multiple-answer':
+                answerArea.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+                    checkbox.checked = answer.includes(parseInt(checkbox.value));
+                });
+                break;
+            case 'identification':
+                document.getElementById('textAnswer').value = answer;
+                break;
+            case 'numeric':
+                document.getElementById('numericAnswer').value = answer;
+                break;
+            case 'enumeration':
+                // Blank entries aren't stored, so the answers fill the first inputs
+                answerArea.querySelectorAll('.enumeration-input').forEach((input, i) => {
+                    input.value = answer[i] ?? '';
+                });
+                break;
+            case 'cloze':
+                answerArea.querySelectorAll('.cloze-input').forEach(input => {
+                    input.value = answer[parseInt(input.dataset.index)] ?? '';
+                });
+                break;
+            case 'ordering': {
+                const list = answerArea.querySelector('.ordering-list');
+                answer.forEach(itemIndex => {
+                    const item = list.querySelector(`[data-item-index="${itemIndex}"]`);
+                    if (item) list.appendChild(item);
+                });
+                break;
+            }
+            case 'matching':
+                answerArea.querySelectorAll('.drop-zone').forEach(zone => {
+                    const itemIndex = this.matchingDisplay.items.indexOf(answer[this.getZoneMatch(zone)]);
+                    if (itemIndex !== -1) this.fillDropZone(zone, itemIndex, question);
+                });
+                break;
+            default:
+                this.getQuestionTypePlugin(question.type)?.restoreAnswer?.(question, answer, answerArea, this);
+                break;
+        }
+    }
+
+    // Submit button and attempt count under the answer (nothing in exam mode, where the exam is submitted as a whole)
+    updateAnswerActions() {
+        const actions = document.getElementById('answerActions');
+        if (!actions) return;
+        const index = this.currentQuestionIndex;
+        const question = this.quizData.questions[index];
+
+        if (this.isExamMode() || this.isQuestionLocked(index)) {
+            actions.innerHTML = '';
+            return;
+        }
+        if (this.getAnswerState(index) === 'graded') {
+            actions.innerHTML = '<span class="answer-status">🔒 Answer submitted</span>';
+            return;
+        }
+
+        const maxAttempts = Math.floor(this.getQuestionOptions(question).maxAttempts);
+        const attemptsUsed = this.attemptsUsed[index] || 0;
+        let attemptsText = '';
+        if (!(maxAttempts > 0)) {
+            attemptsText = 'Unlimited attempts';
+        } else if (maxAttempts > 1) {
+            attemptsText = `Attempt ${attemptsUsed + 1} of ${maxAttempts}`;
+        }
+
+        actions.innerHTML = `
+            <button type="button" id="submitAnswerBtn" class="submit-answer-button" ${this.canSubmitAnswer() ? '' : 'disabled'}>Submit Answer</button>
+            ${attemptsText ? `<span class="answer-status">${attemptsText}</span>` : ''}
+        `;
+    }
+
+    // Right/wrong marks from the last submission no longer apply once the answer is edited
+    clearAnswerMarks() {
+        const answerArea = document.getElementById('answerArea');
+        if (!answerArea) return;
+        answerArea.querySelectorAll('.correct, .incorrect, .correct-position, .incorrect-position, .correct-match, .incorrect-match, .overall-complete')
+            .forEach(element => element.classList.remove('correct', 'incorrect', 'correct-position', 'incorrect-position',
+                'correct-match', 'incorrect-match', 'overall-complete'));
+        answerArea.querySelectorAll('.match-feedback').forEach(feedback => feedback.remove());
+        answerArea.querySelectorAll('.drop-zone').forEach(zone => this.updateDropZoneLabel(zone));
+    }
+
+    // ---- Exam mode ----
+
+    startExamTimer() {
+        this.stopExamTimer();
+        if (!this.isExamMode() || (!this.examOptions.timeLimit && !this.examOptions.questionTimeLimit)) return;
+
+        if (this.examOptions.timeLimit && !this.examDeadline) {
+            this.examDeadline = Date.now() + this.examOptions.timeLimit * 1000;
+        }
+        this.examTimerId = setInterval(() => this.tickExamTimer(), 1000);
+        this.tickExamTimer();
+    }
+
+    stopExamTimer() {
+        if (this.examTimerId) {
+            clearInterval(this.examTimerId);
+            this.examTimerId = null;
+        }
+    }
+
+    // Give the current question its own countdown the first time it is shown
+    startQuestionTimer() {
+        if (!this.examOptions.questionTimeLimit) return;
+
+        const deadline = this.questionDeadlines[this.currentQuestionIndex];
+        if (!deadline) {
+            this.questionDeadlines[this.currentQuestionIndex] = Date.now() + this.examOptions.questionTimeLimit * 1000;
+            this.tickExamTimer();
+        } else if (Date.now() >= deadline && !this.isQuestionLocked(this.currentQuestionIndex)) {
+            // Time ran out while the learner was on another question
+            this.lockedQuestions.push(this.currentQuestionIndex);
+        }
+    }
+
+    tickExamTimer() {
+        if (!this.isExamMode() || this.awaitingResume) return;
+        const now = Date.now();
+
+        if (this.examDeadline && now >= this.examDeadline) {
+            this.submitExam(true);
+            return;
+        }
+
+        const questionDeadline = this.questionDeadlines[this.currentQuestionIndex];
+        const questionExpired = questionDeadline && now >= questionDeadline;
+        if (questionExpired && !this.isQuestionLocked(this.currentQuestionIndex)) {
+            this.lockedQuestions.push(this.currentQuestionIndex);
+            this.lockCurrentQuestion();
+            this.saveSession();
+            if (this.currentQuestionIndex === this.quizData.questions.length - 1) {
+                this.submitExam(true);
+            } else {
+                this.nextQuestion();
+            }
+            return;
+        }
+
+        const timer = document.getElementById('examTimer');
+        if (!timer) return;
+        const parts = [];
+        if (this.examDeadline) {
+            parts.push(`⏱ ${this.formatDuration(this.examDeadline - now)}`);
+        }
+        if (questionDeadline && !questionExpired) {
+            parts.push(`Question: ${this.formatDuration(questionDeadline - now)}`);
+        }
+        timer.textContent = parts.join(' • ');
+        // Warn when under a minute is left on either clock
+        const remaining = Math.min(
+            this.examDeadline ? this.examDeadline - now : Infinity,
+            questionDeadline && !questionExpired ? questionDeadline - now : Infinity
+        );
+        timer.classList.toggle('running-out', remaining < 60000);
+    }
+
+    formatDuration(milliseconds) {
+        const totalSeconds = Math.max(0, Math.ceil(milliseconds / 1000));
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${String(seconds).padStart(2, '0')}`;
+    }
+
+    // Disable every input of the current question (graded, or out of time)
+    disableAnswerInputs() {
+        const answerArea = document.getElementById('answerArea');
+        if (!answerArea) return false;
+        answerArea.querySelectorAll('input, button, textarea, select').forEach(input => input.disabled = true);
+        answerArea.querySelectorAll('[draggable="true"]').forEach(item => item.setAttribute('draggable', 'false'));
+        answerArea.querySelectorAll('[role="button"]').forEach(control => control.setAttribute('aria-disabled', 'true'));
+        answerArea.classList.add('locked');
+        return true;
+    }
+
+    // Lock the current question once its time is up
+    lockCurrentQuestion() {
+        if (!this.disableAnswerInputs()) return;
+        this.updateHints();
+        this.updateAnswerActions();
+        document.getElementById('feedbackArea').innerHTML = `
+            <div class="feedback locked-notice">🔒 Time's up for this question — your answer is locked.</div>
+        `;
+    }
+
+    submitExam(timedOut = false) {
+        if (!timedOut && this.getAnsweredCount() < this.quizData.questions.length) {
+            const unanswered = this.quizData.questions.length - this.getAnsweredCount();
+            if (!window.confirm(`You have ${unanswered} unanswered question${unanswered === 1 ? '' : 's'}. Submit anyway?`)) {
+                return;
+            }
+        }
+
+        this.examTimedOut = timedOut;
+        this.hideAnswerKey();
+        this.gradeAllAnswers();
+        this.showResults();
+    }
+
+    // Grade the exam and feed every question, answered or not, into the review schedule
+    gradeAllAnswers() {
+        const results = super.gradeAllAnswers();
+        results.forEach((result, index) => {
+            this.recordReviewOutcome(this.quizData.questions[index], Boolean(result?.isCorrect), index);
+            if (result) this.emit('answerGraded', result);
+        });
+        return results;
+    }
+
+    // ---- Progressive hints ----
+
+    renderHints(question) {
+        const hints = this.getHints(question);
+        if (hints.length === 0 || this.isExamMode()) return ''; // Exams give no hints
+
+        const index = this.currentQuestionIndex;
+        const used = this.hintsUsed[index] || 0;
+        const cost = this.getQuestionOptions(question).hintPenalty * this.getQuestionPoints(question);
+        const revealedHtml = hints.slice(0, used)
+            .map(hint => `<li>${this.formatContent(hint, question)}</li>`)
+            .join('');
+        const buttonHtml = this.canRevealHint(question, index)
+            ? `<button type="button" id="showHintBtn" class="hint-button">
+                    💡 Show hint (${used + 1} of ${hints.length})${cost > 0 ? ` · −${this.formatPoints(cost)} pt` : ''}
+                </button>`
+            : '';
+
+        return `
+            <div class="hint-panel">
+                <ol class="hint-list" aria-live="polite">${revealedHtml}</ol>
+                ${buttonHtml}
+            </div>
+        `;
+    }
+
+    updateHints() {
+        const hintArea = document.getElementById('hintArea');
+        if (hintArea) {
+            hintArea.innerHTML = this.renderHints(this.quizData.questions[this.currentQuestionIndex]);
+        }
+    }
+
+    showNextHint() {
+        const index = this.currentQuestionIndex;
+        const question = this.quizData.questions[index];
+        const hint = this.revealHint(index);
+        if (hint === null) return;
+
+        this.updateHints();
+        (document.getElementById('showHintBtn') || document.querySelector('.hint-list li:last-child'))?.focus();
+        this.saveSession();
+        this.emit('hintShown', {
+            index, question, hint, hintNumber: this.hintsUsed[index], hintCount: this.getHints(question).length
+        });
+    }
+
+    // ---- Scoring ----
+
+    // Scores can be fractional under partial credit; show at most two decimals
+    formatPoints(points) {
+        return String(Math.round(points * 100) / 100);
+    }
+
+    // Feed each question's final outcome into the spaced-repetition schedule, once per attempt:
+    // "Retry Missed Only" rounds come minutes later and would move missed cards up a box the same day
+    recordReviewOutcome(question, isCorrect, questionIndex) {
+        if (this.originalQuizData.options?.trackReview === false || this.round > 1) return;
+
+        const scheduler = new ReviewScheduler(this.getStorage());
+
+        // Questions in a "Due today" session already know which card they came from
+        if (question.reviewCardId) {
+            const { reviewCardId, reviewCardData, ...cardQuestion } = question;
+            scheduler.recordOutcome(reviewCardId, isCorrect, reviewCardData ? { ...reviewCardData, question: cardQuestion } : {});
+            return;
         }
+
+        const cardId = ReviewScheduler.getCardId(this.getQuizId(), this.questionOrder[questionIndex]);
+        scheduler.recordOutcome(cardId, isCorrect, {
+            quizId: this.getQuizId(),
+            quizTitle: this.originalQuizData.title,
+            question: {
+                ...question,
+                // Bake the quiz-wide defaults in so the card grades the same way outside its quiz
+                questionOptions: this.getQuestionOptions(question)
+            }
+        });
     }
 
-    // New method to check individual matches in real-time
+    // Mark one placed item right or wrong (after the answer is submitted)
     checkIndividualMatch(zone, droppedItem) {
         const question = this.quizData.questions[this.currentQuestionIndex];
         
-        if (question.type !== 'matching' || !question.correctMatches) {
+        if (question.type !== 'matching' || !question.correctMatches || this.isExamMode()) {
             return;
         }
         
-        const matchKey = zone.dataset.match;
+        const matchKey = this.getZoneMatch(zone);
         const correctItem = question.correctMatches[matchKey];
         
         // Remove previous match styling
@@ -488,6 +1394,7 @@ class QuizEngine {
             // Optional: Show a small X or error indicator
             this.showIndividualMatchFeedback(zone, false);
         }
+        this.updateDropZoneLabel(zone);
     }
 
     // Optional method to show individual match feedback
@@ -501,6 +1408,7 @@ class QuizEngine {
         // Add new feedback indicator
         const feedback = document.createElement('div');
         feedback.className = 'match-feedback';
+        feedback.setAttribute('aria-hidden', 'true'); // The zone's aria-label already says correct/incorrect
         feedback.innerHTML = isCorrect ? '✓' : '✗';
         feedback.style.cssText = `
             position: absolute;
@@ -542,179 +1450,137 @@ class QuizEngine {
                 const enumInputs = document.querySelectorAll('.enumeration-input');
                 return Array.from(enumInputs).map(input => input.value.trim()).filter(v => v !== '');
             
+            case 'numeric':
+                const numericInput = document.getElementById('numericAnswer');
+                return numericInput ? numericInput.value.trim() : '';
+            
+            case 'ordering':
+                // Original item indices in their current on-screen order
+                const orderingItems = document.querySelectorAll('.ordering-item');
+                return Array.from(orderingItems).map(item => parseInt(item.dataset.itemIndex));
+            
+            case 'cloze':
+                // Keep empty blanks so each value stays at its blank's position
+                const clozeInputs = document.querySelectorAll('.cloze-input');
+                return Array.from(clozeInputs).map(input => input.value.trim());
+            
             case 'matching':
                 const zones = document.querySelectorAll('.drop-zone');
                 const matches = {};
                 zones.forEach(zone => {
-                    const matchLabel = zone.dataset.match;
-                    const droppedText = zone.querySelector('.dropped-item').textContent.trim();
-                    if (droppedText) {
-                        matches[matchLabel] = droppedText;
+                    const droppedText = this.getZoneItem(zone);
+                    if (droppedText !== undefined) {
+                        matches[this.getZoneMatch(zone)] = droppedText;
                     }
                 });
                 return matches;
             
-            default:
-                return null;
+            default: {
+                const plugin = this.getQuestionTypePlugin(type);
+                return plugin ? plugin.getAnswer(this.quizData.questions[this.currentQuestionIndex], document.getElementById('answerArea'), this) : null;
+            }
         }
     }
 
-    isAnswerCorrect(userAnswer, question, options) {
-        switch(question.type) {
-            case 'multiple-choice':
-                return parseInt(userAnswer) === question.correctAnswer;
-            
-            case 'true-false':
-                return userAnswer === question.correctAnswer.toString();
-            
-            case 'multiple-answer':
-                if (!userAnswer || !question.correctAnswer) return false;
-                return userAnswer.length === question.correctAnswer.length &&
-                    userAnswer.every(ans => question.correctAnswer.includes(ans));
-            
-            case 'identification':
-                if (!userAnswer) return false;
-                const compareFunc = options.caseSensitive 
-                    ? (a, b) => a === b 
-                    : (a, b) => a.toLowerCase() === b.toLowerCase();
-                
-                if (Array.isArray(question.correctAnswer)) {
-                    return question.correctAnswer.some(ans => 
-                        compareFunc(ans, userAnswer)
-                    );
-                }
-                return compareFunc(question.correctAnswer, userAnswer);
-            
-            case 'enumeration':
-                if (!userAnswer || userAnswer.length === 0) {
-                    this.lastEnumerationResults = []; // Clear results
-                    return false;
-                }
-                
-                const enumCompare = options.caseSensitive 
-                    ? (a, b) => a === b 
-                    : (a, b) => a.toLowerCase() === b.toLowerCase();
-                
-                const individualResults = []; // Store individual correctness
-                let allCorrect = true;
-                
-                if (options.orderSensitive) {
-                    // Order matters - check each position
-                    userAnswer.forEach((ans, index) => {
-                        let isCorrect = false;
-                        if (index < question.correctAnswer.length && ans.trim()) {
-                            if (Array.isArray(question.correctAnswer[index])) {
-                                isCorrect = question.correctAnswer[index].some(acceptable =>
-                                    enumCompare(acceptable, ans)
-                                );
-                            } else {
-                                isCorrect = enumCompare(question.correctAnswer[index], ans);
-                            }
-                        }
-                        individualResults[index] = isCorrect;
-                        if (!isCorrect && ans.trim()) allCorrect = false;
-                    });
-                    
-                    if (userAnswer.length !== question.correctAnswer.length) allCorrect = false;
-                    
-                } else {
-                    // Order doesn't matter - any valid answers in any order
-                    if (userAnswer.length > question.correctAnswer.length) {
-                        // Too many answers - mark all as incorrect
-                        userAnswer.forEach((_, index) => {
-                            individualResults[index] = false;
-                        });
-                        this.lastEnumerationResults = individualResults;
-                        return false;
-                    }
-                    
-                    // Get all acceptable answers flattened for checking
-                    const allAcceptableAnswers = [];
-                    question.correctAnswer.forEach(answerSet => {
-                        if (Array.isArray(answerSet)) {
-                            allAcceptableAnswers.push(...answerSet);
-                        } else {
-                            allAcceptableAnswers.push(answerSet);
-                        }
-                    });
-                    
-                    const usedAnswers = new Set();
-                    let allCorrect = true;
-                    
-                    // Check each user answer individually
-                    userAnswer.forEach((userAns, index) => {
-                        let isCorrect = false;
-                        
-                        if (userAns.trim()) {
-                            // Find if this answer matches any acceptable answer that hasn't been used
-                            for (let acceptableAns of allAcceptableAnswers) {
-                                if (!usedAnswers.has(acceptableAns) && enumCompare(acceptableAns, userAns)) {
-                                    usedAnswers.add(acceptableAns);
-                                    isCorrect = true;
-                                    break;
-                                }
-                            }
-                        }
-                        
-                        individualResults[index] = isCorrect;
-                        if (!isCorrect && userAns.trim()) allCorrect = false;
-                    });
-                    
-                    // Check if we have the required number of unique answers
-                    const uniqueGroups = new Set();
-                    for (let userAns of userAnswer) {
-                        if (!userAns.trim()) continue;
-                        
-                        for (let i = 0; i < question.correctAnswer.length; i++) {
-                            const answerGroup = Array.isArray(question.correctAnswer[i]) 
-                                ? question.correctAnswer[i] 
-                                : [question.correctAnswer[i]];
-                            
-                            if (answerGroup.some(a => enumCompare(a, userAns))) {
-                                uniqueGroups.add(i);
-                                break;
-                            }
-                        }
-                    }
-                    
-                    const hasCorrectCount = uniqueGroups.size === userAnswer.filter(ans => ans.trim()).length && 
-                                        userAnswer.filter(ans => ans.trim()).length <= question.correctAnswer.length;
-                    
-                    if (!hasCorrectCount) allCorrect = false;
-                }
+    // ---- Safe rendering ----
 
-                // Store results for visual feedback (this should be outside both if/else blocks)
-                this.lastEnumerationResults = individualResults;
+    // Every piece of quiz-authored text goes through here before it reaches innerHTML:
+    // escaped by default, or the small rich-text subset below when richText is on
+    formatContent(text, question = {}) {
+        if (text === undefined || text === null) return '';
+        return this.getQuestionOptions(question).richText ? this.formatRichText(String(text)) : this.escapeHtml(text);
+    }
 
-                return allCorrect;
-            
-            case 'matching':
-                if (!question.correctMatches) return false;
-                for (let matchKey in question.correctMatches) {
-                    const correctItem = question.correctMatches[matchKey];
-                    if (userAnswer[matchKey] !== correctItem) {
-                        return false;
-                    }
-                }
-                return Object.keys(userAnswer).length === Object.keys(question.correctMatches).length;
-            
-            default:
-                return false;
-        }
+    // Supports ```fenced code```, `inline code`, **bold**, *italic*, "- " / "1. " lists and ![alt](url) images.
+    // The text is escaped first and only these constructs are turned back into tags, so raw HTML never gets through
+    formatRichText(text) {
+        const stash = [];
+        const keep = html => `\u0000${stash.push(html) - 1}\u0000`;
+
+        let source = text
+            .replace(/\n?```[\w+-]*[ \t]*\n?([\s\S]*?)\n?```\n?/g, (_, code) => `\n${keep(`<pre class="rich-code"><code>${this.escapeHtml(code)}</code></pre>`)}\n`)
+            .replace(/`([^`\n]+)`/g, (_, code) => keep(`<code>${this.escapeHtml(code)}</code>`));
+        source = this.escapeHtml(source);
+
+        const inline = line => line
+            .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (whole, alt, url) =>
+                this.isSafeImageUrl(url) ? `<img class="rich-image" src="${url}" alt="${alt}" loading="lazy">` : whole)
+            .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/\*(?=\S)(.+?)\*/g, (whole, inner) => /\s$/.test(inner) ? whole : `<em>${inner}</em>`);
+
+        // Group consecutive list lines; code blocks stand alone; other lines are joined with <br>
+        const blocks = [];
+        source.replace(/^\n+|\n+$/g, '').split('\n').forEach(line => {
+            const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+            const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+            const listTag = bullet ? 'ul' : numbered ? 'ol' : null;
+            const last = blocks[blocks.length - 1];
+            if (/^\u0000\d+\u0000$/.test(line) && stash[line.slice(1, -1)].startsWith('<pre')) {
+                blocks.push({ tag: 'pre', html: line });
+            } else if (!listTag) {
+                blocks.push({ tag: null, html: inline(line) });
+            } else if (last?.tag === listTag) {
+                last.items.push(inline((bullet || numbered)[1]));
+            } else {
+                blocks.push({ tag: listTag, items: [inline((bullet || numbered)[1])] });
+            }
+        });
+
+        const html = blocks.map((block, i) => {
+            if (block.items) {
+                return `<${block.tag} class="rich-list">${block.items.map(item => `<li>${item}</li>`).join('')}</${block.tag}>`;
+            }
+            const nextIsText = blocks[i + 1] && blocks[i + 1].tag === null;
+            return block.html + (block.tag === null && nextIsText ? '<br>' : '');
+        }).join('');
+
+        return html.replace(/\u0000(\d+)\u0000/g, (_, index) => stash[index]);
+    }
+
+    // Relative paths, http(s) and inline raster images only: no javascript:, no SVG data URLs
+    isSafeImageUrl(url) {
+        if (!/^[a-z][a-z0-9+.-]*:/i.test(url)) return !url.startsWith('//');
+        return /^https?:\/\//i.test(url) || /^data:image\/(png|gif|jpe?g|webp);base64,/i.test(url);
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    getNearMissNote() {
+        if (!this.lastNearMisses || this.lastNearMisses.length === 0) return '';
+        const accepted = this.lastNearMisses.map(miss =>
+            `"${this.escapeHtml(miss.given)}" as "${this.escapeHtml(miss.accepted)}"`
+        );
+        return `<div class="near-miss-note">≈ Close enough — accepted ${accepted.join(', ')}</div>`;
     }
 
-    showFeedback(isCorrect, question) {
+    showFeedback(isCorrect, question, credit = 0) {
         const feedbackArea = document.getElementById('feedbackArea');
-        if (isCorrect) {
+        if (!isCorrect && credit > 0) {
+            const points = this.getQuestionPoints(question);
+            feedbackArea.innerHTML = `
+                <div class="feedback partial">
+                    ◐ Partially correct (${this.formatPoints(credit * points)}/${this.formatPoints(points)} points). ${question.hint ? this.formatContent(question.hint, question) : 'Keep going!'}
+                    ${this.getNearMissNote()}
+                </div>
+            `;
+        } else if (isCorrect) {
             feedbackArea.innerHTML = `
                 <div class="feedback correct">
-                    ✓ Correct! ${question.explanation || ''}
+                    ✓ Correct! ${this.formatContent(question.explanation, question)}
+                    ${this.getNearMissNote()}
                 </div>
             `;
         } else if (this.getUserAnswer(question.type)) {
             feedbackArea.innerHTML = `
                 <div class="feedback incorrect">
-                    ✗ Not quite right. ${question.hint || 'Try again!'}
+                    ✗ Not quite right. ${question.hint ? this.formatContent(question.hint, question) : 'Try again!'}
                 </div>
             `;
         }
@@ -736,7 +1602,8 @@ class QuizEngine {
                 break;
             
             case 'identification':
-                const textInput = document.getElementById('textAnswer');
+            case 'numeric':
+                const textInput = document.getElementById(type === 'numeric' ? 'numericAnswer' : 'textAnswer');
                 if (textInput && textInput.value) {
                     textInput.classList.remove('correct', 'incorrect');
                     textInput.classList.add(isCorrect ? 'correct' : 'incorrect');
@@ -758,13 +1625,33 @@ class QuizEngine {
                 });
                 break;
             
+            case 'ordering':
+                document.querySelectorAll('.ordering-item').forEach((item, position) => {
+                    item.classList.remove('correct-position', 'incorrect-position');
+                    const result = this.lastOrderingResults?.[position];
+                    if (result !== undefined) {
+                        item.classList.add(result ? 'correct-position' : 'incorrect-position');
+                    }
+                });
+                break;
+            
+            case 'cloze':
+                document.querySelectorAll('.cloze-input').forEach(input => {
+                    input.classList.remove('correct', 'incorrect');
+                    if (!input.value.trim()) return;
+                    const result = this.lastClozeResults?.[parseInt(input.dataset.index)];
+                    input.classList.add(result ? 'correct' : 'incorrect');
+                });
+                break;
+            
             case 'matching':
-                // Individual matches are handled by checkIndividualMatch()
-                // This just provides overall completion feedback
+                // Mark each placed item, then the overall completion feedback
                 const zones = document.querySelectorAll('.drop-zone');
-                const filledZones = Array.from(zones).filter(zone => 
-                    zone.querySelector('.dropped-item').textContent.trim()
-                );
+                zones.forEach(zone => {
+                    const placedItem = this.getZoneItem(zone);
+                    if (placedItem !== undefined) this.checkIndividualMatch(zone, placedItem);
+                });
+                const filledZones = Array.from(zones).filter(zone => zone.dataset.placedIndex !== undefined);
                 
                 if (isCorrect && filledZones.length === zones.length) {
                     // All matches are correct and complete
@@ -780,36 +1667,51 @@ class QuizEngine {
 
     updateAnswerKey(question, options) {
         const answerKeyBody = document.getElementById('answerKeyBody');
+        const answerHtml = this.getCorrectAnswerHtml(question, options);
+        
+        answerKeyBody.innerHTML = `
+            <div class="answer-item">
+                <strong>Question ${this.currentQuestionIndex + 1}:</strong><br>
+                ${this.getQuestionDisplayText(question)}<br><br>
+                ${answerHtml}
+                ${question.explanation ? `<br><br>Explanation: ${this.formatContent(question.explanation, question)}` : ''}
+            </div>
+        `;
+    }
+
+    // Correct answer text shared by the answer key and the results review
+    getCorrectAnswerHtml(question, options) {
         let answerHtml = '';
         
         switch(question.type) {
             case 'multiple-choice':
-                answerHtml = `Correct Answer: ${question.options[question.correctAnswer]}`;
+                answerHtml = `Correct Answer: ${this.formatContent(question.options[question.correctAnswer], question)}`;
                 break;
             case 'true-false':
                 answerHtml = `Correct Answer: ${question.correctAnswer ? 'True' : 'False'}`;
                 break;
             case 'multiple-answer':
-                const correctOptions = question.correctAnswer.map(i => question.options[i]).join(', ');
+                const correctOptions = question.correctAnswer.map(i => this.formatContent(question.options[i], question)).join(', ');
                 answerHtml = `Correct Answers: ${correctOptions}`;
                 break;
             case 'identification':
                 if (Array.isArray(question.correctAnswer)) {
-                    answerHtml = `Acceptable Answers: ${question.correctAnswer.join(', ')}`;
+                    answerHtml = `Acceptable Answers: ${question.correctAnswer.map(ans => this.escapeHtml(ans)).join(', ')}`;
                 } else {
-                    answerHtml = `Correct Answer: ${question.correctAnswer}`;
+                    answerHtml = `Correct Answer: ${this.escapeHtml(question.correctAnswer)}`;
                 }
                 if (options.caseSensitive) {
                     answerHtml += `<br><em>Note: Case sensitive</em>`;
                 }
+                answerHtml += this.getMatchingNotes(options);
                 break;
             case 'enumeration':
                 answerHtml = `Correct Answers:<br>`;
                 question.correctAnswer.forEach((ans, i) => {
                     if (Array.isArray(ans)) {
-                        answerHtml += `${i + 1}. ${ans.join(' or ')}<br>`;
+                        answerHtml += `${i + 1}. ${ans.map(alt => this.escapeHtml(alt)).join(' or ')}<br>`;
                     } else {
-                        answerHtml += `${i + 1}. ${ans}<br>`;
+                        answerHtml += `${i + 1}. ${this.escapeHtml(ans)}<br>`;
                     }
                 });
                 if (!options.orderSensitive) {
@@ -818,23 +1720,60 @@ class QuizEngine {
                 if (options.caseSensitive) {
                     answerHtml += `<br><em>Note: Case sensitive</em>`;
                 }
+                answerHtml += this.getMatchingNotes(options);
+                break;
+            case 'numeric': {
+                const [unit] = this.getNumericUnits(question);
+                const unitSuffix = unit ? ` ${this.escapeHtml(unit)}` : '';
+                const expected = this.parseNumericAnswer(question.correctAnswer)?.value;
+                answerHtml = `Correct Answer: ${this.formatNumber(expected)}${unitSuffix}`;
+                if (question.tolerance || question.relativeTolerance) {
+                    const [min, max] = this.getNumericRange(question);
+                    answerHtml += `<br>Accepted range: ${this.formatNumber(min)} – ${this.formatNumber(max)}${unitSuffix}`;
+                }
+                if (question.requireUnit && unit) {
+                    answerHtml += `<br><em>Note: The unit (${this.getNumericUnits(question).map(u => this.escapeHtml(u)).join(' or ')}) is required</em>`;
+                }
+                break;
+            }
+            case 'ordering':
+                answerHtml = `Correct Order:<br>`;
+                question.items.forEach((item, i) => {
+                    answerHtml += `${i + 1}. ${this.formatContent(item, question)}<br>`;
+                });
+                break;
+            case 'cloze':
+                answerHtml = `Blanks:<br>`;
+                this.parseCloze(question.question).blanks.forEach((acceptable, i) => {
+                    answerHtml += `${i + 1}. ${acceptable.map(ans => this.escapeHtml(ans)).join(' or ')}<br>`;
+                });
+                if (options.caseSensitive) {
+                    answerHtml += `<br><em>Note: Case sensitive</em>`;
+                }
+                answerHtml += this.getMatchingNotes(options);
                 break;
             case 'matching':
                 answerHtml = `Correct Matches:<br>`;
                 for (let matchKey in question.correctMatches) {
-                    answerHtml += `${matchKey} → ${question.correctMatches[matchKey]}<br>`;
+                    answerHtml += `${this.formatContent(matchKey, question)} → ${this.formatContent(question.correctMatches[matchKey], question)}<br>`;
                 }
                 break;
+            default:
+                answerHtml = this.getQuestionTypePlugin(question.type)?.formatCorrectAnswer?.(question, options, this) || '';
+                break;
         }
-        
-        answerKeyBody.innerHTML = `
-            <div class="answer-item">
-                <strong>Question ${this.currentQuestionIndex + 1}:</strong><br>
-                ${question.question}<br><br>
-                ${answerHtml}
-                ${question.explanation ? `<br><br>Explanation: ${question.explanation}` : ''}
-            </div>
-        `;
+        return answerHtml;
+    }
+
+    // Describe which answer-matching relaxations are active for the answer key
+    getMatchingNotes(options) {
+        const notes = [];
+        if (options.normalizeWhitespace) notes.push('extra spaces ignored');
+        if (options.ignorePunctuation) notes.push('punctuation ignored');
+        if (options.ignoreArticles) notes.push('"a", "an", "the" ignored');
+        if (options.foldPlurals) notes.push('singular/plural both accepted');
+        if (options.typoTolerance > 0) notes.push(`up to ${options.typoTolerance} typo${options.typoTolerance === 1 ? '' : 's'} accepted`);
+        return notes.length > 0 ? `<br><em>Note: ${notes.join(', ')}</em>` : '';
     }
 
     nextQuestion() {
@@ -843,9 +1782,22 @@ class QuizEngine {
             this.renderQuestion();
             this.updateProgress();
             this.updateNavigation();
+            this.saveSession();
+        } else if (this.isExamMode()) {
+            this.submitExam();
         } else {
-            this.showResults();
+            this.finishQuiz();
+        }
+    }
+
+    // Show the results, after a warning when some answers were never submitted
+    finishQuiz() {
+        const unsubmitted = this.getUnsubmittedCount();
+        if (unsubmitted > 0 &&
+            !window.confirm(`${unsubmitted} answer${unsubmitted === 1 ? ' was' : 's were'} never submitted and won't count. Finish anyway?`)) {
+            return;
         }
+        this.showResults();
     }
 
     previousQuestion() {
@@ -854,6 +1806,7 @@ class QuizEngine {
             this.renderQuestion();
             this.updateProgress();
             this.updateNavigation();
+            this.saveSession();
         }
     }
 
@@ -871,13 +1824,22 @@ class QuizEngine {
         }
         
         if (nextBtn) {
+            const finishLabel = this.isExamMode() ? 'Submit Exam' : 'Finish Quiz';
             nextBtn.textContent = this.currentQuestionIndex === this.quizData.questions.length - 1 
-                ? 'Finish Quiz' : 'Next Question';
+                ? finishLabel : 'Next Question';
+        }
+
+        // The answer key stays hidden until an exam is submitted
+        const answerKeyToggle = document.getElementById('answerKeyToggle');
+        if (answerKeyToggle && this.isExamMode()) {
+            answerKeyToggle.style.display = 'none';
         }
     }
 
     showResults() {
-        const percentage = Math.round((this.score / this.quizData.questions.length) * 100);
+        this.stopExamTimer();
+        const totalPoints = this.getTotalPoints();
+        const percentage = totalPoints > 0 ? Math.round((this.score / totalPoints) * 100) : 0;
         let message = '';
         
         if (percentage >= 90) {
@@ -889,21 +1851,172 @@ class QuizEngine {
         } else {
             message = 'Keep studying! You can do better with more practice.';
         }
+
+        const missedCount = this.getMissedQuestionIndices().length;
+        const hintsUsed = this.getHintsUsedCount();
+        // Points the answers would have earned without the hints
+        const hintCost = this.questionResults.reduce((total, result, index) => result
+            ? total + result.credit * this.getQuestionPoints(this.quizData.questions[index]) - result.pointsEarned
+            : total, 0);
+        let roundHtml = '';
+        if (this.round > 1) {
+            roundHtml = missedCount === 0
+                ? `<p class="round-summary">🎉 Everything right after ${this.round} rounds.</p>`
+                : `<p class="round-summary">Round ${this.round}: ${missedCount} question${missedCount === 1 ? '' : 's'} still to get right.</p>`;
+        }
         
         const resultsHtml = `
             <div class="results-container">
-                <h2>Quiz Complete!</h2>
-                <div class="results-score">${this.score}/${this.quizData.questions.length}</div>
+                <h2>${this.round > 1 ? `Round ${this.round} Complete!` : 'Quiz Complete!'}</h2>
+                <div class="results-score">${this.formatPoints(this.score)}/${this.formatPoints(totalPoints)}</div>
                 <div class="results-percentage">${percentage}%</div>
+                ${this.examTimedOut ? '<p class="exam-timeout-note">⏰ Time ran out — your answers were submitted automatically.</p>' : ''}
                 <p class="results-message">${message}</p>
-                <button class="retry-button" onclick="location.reload()">Try Again</button>
+                ${roundHtml}
+                <p class="results-points">You earned ${this.formatPoints(this.score)} of ${this.formatPoints(totalPoints)} points across ${this.quizData.questions.length} questions.</p>
+                ${hintsUsed > 0 ? `<p class="results-hints">💡 ${hintsUsed} hint${hintsUsed === 1 ? '' : 's'} used${hintCost > 0 ? `, costing ${this.formatPoints(hintCost)} point${hintCost === 1 ? '' : 's'}` : ''}.</p>` : ''}
+                <p class="results-seed">Seed: <code>${this.escapeHtml(this.seed)}</code> · <a href="${this.escapeHtml(this.getReplayUrl())}">Replay this attempt</a></p>
+                ${missedCount > 0 ? `<button id="retryMissedBtn" class="retry-button">Retry Missed Only (${missedCount})</button>` : ''}
+                <button id="retryBtn" class="${missedCount > 0 ? 'nav-button' : 'retry-button'}">${this.round > 1 ? 'Start Over' : 'Try Again'}</button>
                 <button class="nav-button" onclick="location.href='index.html'">Back to Home</button>
             </div>
+            ${this.renderPanels('results')}
+            ${this.renderResultsReview()}
         `;
         
         document.getElementById('quizContent').innerHTML = resultsHtml;
         this.isQuizComplete = true;
+        this.clearSession(); // A finished quiz has nothing to resume
+        this.recordAttempt(totalPoints, percentage);
         this.removeKeyboardNavigation();
+        this.emit('quizComplete', {
+            quizId: this.getQuizId(),
+            score: this.score,
+            totalPoints,
+            percentage,
+            round: this.round,
+            questionCount: this.quizData.questions.length,
+            hintsUsed,
+            timedOut: Boolean(this.examTimedOut),
+            results: this.quizData.questions.map((question, index) => ({
+                question,
+                answer: this.userAnswers[index],
+                status: this.getQuestionStatus(index),
+                ...this.questionResults[index]
+            }))
+        });
+    }
+
+    // Add the finished attempt to the history behind the home page badges.
+    // Quizzes that don't persist sessions (review runs, editor previews) aren't catalog entries,
+    // and retry rounds only cover the missed questions so they don't count as attempts.
+    recordAttempt(totalPoints, percentage) {
+        if (!this.isSessionPersistent() || this.round > 1) return;
+
+        new AttemptHistory(this.getStorage()).recordAttempt(this.getQuizId(), {
+            completedAt: Date.now(),
+            score: this.score,
+            totalPoints,
+            percentage,
+            questionCount: this.quizData.questions.length
+        });
+    }
+
+    // ---- Results review ----
+
+    // Every question in the order it was asked, with the learner's answer next to the correct one
+    renderResultsReview() {
+        const statusLabels = {
+            correct: '✓ Correct',
+            partial: '◐ Partial',
+            incorrect: '✗ Wrong',
+            skipped: '– Skipped'
+        };
+        const types = [...new Set(this.quizData.questions.map(question => question.type))];
+
+        const itemsHtml = this.quizData.questions.map((question, index) => {
+            const options = this.getQuestionOptions(question);
+            const status = this.getQuestionStatus(index);
+            const result = this.questionResults[index];
+            const points = this.getQuestionPoints(question);
+            const pointsEarned = result ? result.pointsEarned : 0;
+            const hintsUsed = this.hintsUsed[index] || 0;
+
+            return `
+                <div class="review-item ${status}" data-status="${status}" data-type="${this.escapeHtml(question.type)}">
+                    <div class="review-item-header">
+                        <span class="review-number">Question ${index + 1}</span>
+                        <span class="question-type">${this.escapeHtml(this.getQuestionTypeLabel(question.type))}</span>
+                        <span class="review-status">${statusLabels[status]} · ${this.formatPoints(pointsEarned)}/${this.formatPoints(points)}${hintsUsed > 0 ? ` · 💡 ${hintsUsed}` : ''}</span>
+                    </div>
+                    <div class="review-question">${this.getQuestionDisplayText(question)}</div>
+                    <div class="review-answer">
+                        <strong>Your answer:</strong> ${this.formatUserAnswer(question, this.userAnswers[index])}
+                    </div>
+                    <div class="review-answer">${this.getCorrectAnswerHtml(question, options)}</div>
+                    ${question.explanation ? `<div class="review-explanation">Explanation: ${this.formatContent(question.explanation, question)}</div>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="results-review">
+                <div class="review-toolbar">
+                    <h3>Review Your Answers</h3>
+                    <label class="review-filter">
+                        <input type="checkbox" id="reviewWrongOnly"> Wrong only
+                    </label>
+                    <select id="reviewTypeFilter" class="review-filter">
+                        <option value="">All question types</option>
+                        ${types.map(type => `<option value="${this.escapeHtml(type)}">${this.escapeHtml(this.getQuestionTypeLabel(type))}</option>`).join('')}
+                    </select>
+                </div>
+                <div id="reviewList">${itemsHtml}</div>
+                <p id="reviewEmpty" class="review-empty" style="display: none;">No questions match these filters.</p>
+            </div>
+        `;
+    }
+
+    applyReviewFilters() {
+        const wrongOnly = document.getElementById('reviewWrongOnly').checked;
+        const type = document.getElementById('reviewTypeFilter').value;
+        let visibleCount = 0;
+
+        document.querySelectorAll('.review-item').forEach(item => {
+            const visible = (!wrongOnly || item.dataset.status !== 'correct') &&
+                (!type || item.dataset.type === type);
+            item.style.display = visible ? '' : 'none';
+            if (visible) visibleCount++;
+        });
+        document.getElementById('reviewEmpty').style.display = visibleCount === 0 ? 'block' : 'none';
+    }
+
+    // Readable version of a stored answer (typed answers are escaped, never formatted)
+    formatUserAnswer(question, answer) {
+        if (!this.hasAnswer(answer)) return '<em>No answer</em>';
+
+        switch (question.type) {
+            case 'multiple-choice':
+                return this.formatContent(question.options[parseInt(answer)] ?? answer, question);
+            case 'true-false':
+                return answer === 'true' ? 'True' : 'False';
+            case 'multiple-answer':
+                return answer.map(i => this.formatContent(question.options[i], question)).join(', ');
+            case 'enumeration':
+            case 'cloze':
+                return answer.map((ans, i) => `${i + 1}. ${ans ? this.escapeHtml(ans) : '<em>blank</em>'}`).join('<br>');
+            case 'ordering':
+                return answer.map((itemIndex, i) => `${i + 1}. ${this.formatContent(question.items[itemIndex], question)}`).join('<br>');
+            case 'matching':
+                return Object.entries(answer)
+                    .map(([match, item]) => `${this.formatContent(match, question)} → ${this.formatContent(item, question)}`)
+                    .join('<br>');
+            default: {
+                const plugin = this.getQuestionTypePlugin(question.type);
+                if (plugin?.formatAnswer) return plugin.formatAnswer(question, answer, this);
+                return this.escapeHtml(typeof answer === 'string' ? answer : JSON.stringify(answer));
+            }
+        }
     }
 
     setupEventListeners() {
@@ -917,6 +2030,18 @@ class QuizEngine {
                 this.toggleAnswerKey();
             } else if (e.target.classList.contains('close-modal')) {
                 this.closeAnswerKey();
+            } else if (e.target.id === 'retryBtn') {
+                this.startNewSession();
+            } else if (e.target.id === 'submitAnswerBtn') {
+                this.submitAnswer();
+            } else if (e.target.id === 'showHintBtn') {
+                this.showNextHint();
+            } else if (e.target.id === 'retryMissedBtn') {
+                this.retryMissedQuestions();
+            } else if (e.target.id === 'resumeBtn') {
+                this.resumeSession();
+            } else if (e.target.id === 'startFreshBtn') {
+                this.startFresh();
             }
         });
 
@@ -926,13 +2051,20 @@ class QuizEngine {
                 this.closeAnswerKey();
             }
         });
+
+        // Results review filters
+        document.addEventListener('change', (e) => {
+            if (e.target.id === 'reviewWrongOnly' || e.target.id === 'reviewTypeFilter') {
+                this.applyReviewFilters();
+            }
+        });
     }
 
     setupKeyboardNavigation() {
         // Store reference to the handler so we can remove it later
         this.keydownHandler = (e) => {
             // Only handle navigation if quiz is not complete
-            if (this.isQuizComplete) return;
+            if (this.isQuizComplete || this.awaitingResume) return;
             
             // Handle Shift key for answer key toggle
             if (e.key === 'Shift' && !this.shiftKeyPressed) {
@@ -941,6 +2073,16 @@ class QuizEngine {
                 return;
             }
             
+            // Let Enter activate buttons inside a question (ordering ▲/▼, Submit, Show hint) instead of navigating
+            if (e.key === 'Enter' && e.target.closest?.('.question-container button')) return;
+
+            // Enter submits a draft answer first, the next Enter moves on
+            if (e.key === 'Enter' && !e.ctrlKey && this.canSubmitAnswer()) {
+                e.preventDefault();
+                this.submitAnswer();
+                return;
+            }
+
             // Prevent default behavior for our key combinations
             if ((e.key === 'Enter' && !e.ctrlKey) || e.key === 'ArrowRight') {
                 e.preventDefault();
@@ -971,9 +2113,14 @@ class QuizEngine {
 
     showAnswerKey() {
         const modal = document.getElementById('answerKeyModal');
+        if (this.isExamMode()) return;
         if (modal && !this.answerKeyVisible) {
             modal.classList.add('show');
             this.answerKeyVisible = true;
+            this.emit('answerKeyOpened', {
+                index: this.currentQuestionIndex,
+                question: this.quizData.questions[this.currentQuestionIndex]
+            });
         }
     }
 
@@ -986,6 +2133,7 @@ class QuizEngine {
     }
 
     toggleAnswerKey() {
+        if (this.isExamMode()) return;
         const modal = document.getElementById('answerKeyModal');
         const isVisible = modal.classList.contains('show');
         
@@ -1007,22 +2155,15 @@ class QuizEngine {
             'identification': 'Identification',
             'matching': 'Matching Type',
             'true-false': 'True or False',
-            'enumeration': 'Enumeration'
+            'enumeration': 'Enumeration',
+            'cloze': 'Fill in the Blanks',
+            'ordering': 'Ordering',
+            'numeric': 'Numeric'
         };
-        return labels[type] || 'Question';
-    }
-
-    // Random shuffle array (not seeded - truly random each time)
-    shuffleArray(array) {
-        const shuffled = [...array];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-        }
-        return shuffled;
+        return labels[type] || this.getQuestionTypePlugin(type)?.label || 'Question';
     }
 
-    getActiveOptionsDisplay(options, type) {
+    getActiveOptionsDisplay(options, type, question = {}) {
         const active = [];
         switch(type) {
             case 'multiple-choice':
@@ -1033,15 +2174,31 @@ class QuizEngine {
             case 'enumeration':
                 !options.orderSensitive ? active.push('↕️ Any Order') : active.push('🔢 Order Matters');
             case 'identification':
+            case 'cloze':
                 options.caseSensitive ? active.push('Aa Case Sensitive') : active.push('aa Case Insensitive');
+                if (options.typoTolerance > 0) active.push('≈ Typo Tolerant');
+                break;
+            case 'ordering':
+                active.push('↕️ Drag, or focus an item and use ↑/↓');
+                break;
+            case 'numeric':
+                active.push('🔢 Fractions like 13/2 accepted');
+                if (question.relativeTolerance) active.push(`± ${this.formatNumber(question.relativeTolerance * 100)}%`);
+                if (question.tolerance) active.push(`± ${this.formatNumber(question.tolerance)}`);
+                if (question.requireUnit && question.unit) active.push('📏 Unit required');
                 break;
             case 'matching':
                 options.shuffleChoices ? active.push('🔀 Mixed Items') : active.push('🔒 Fixed Items');
                 options.shuffleMatches ? active.push('🔀 Mixed Matches') : active.push('🔒 Fixed Matches');
                 options.unequalList ? active.push('➕ Extra Options') : active.push('⚖️ Equal Lists');
+                active.push('👆 Drag, or tap an item then its match');
                 break;
-            default: 
-                return '<p>Unknown question type</p>';
+            default: {
+                // Plugin types list their own badges, if any
+                const plugin = this.getQuestionTypePlugin(type);
+                if (!plugin) return '<p>Unknown question type</p>';
+                active.push(...(plugin.describeOptions?.(options, question, this) || []).map(badge => this.escapeHtml(badge)));
+            }
         }
         
         return active.length > 0 
@@ -1051,9 +2208,28 @@ class QuizEngine {
             : '';
     }
 
-    // Method to clear shuffle history (useful for quiz retries)
-    clearShuffleHistory() {
-        this.previousShuffleStates = {};
+    // ---- Seeded randomness ----
+
+    // ?seed= in the URL wins over options.seed
+    getInitialSeed(quizData) {
+        let urlSeed = null;
+        try {
+            urlSeed = new URLSearchParams(window.location.search).get('seed');
+        } catch (e) {
+            // No usable location (e.g. embedded); fall through
+        }
+        return urlSeed || super.getInitialSeed(quizData);
+    }
+
+    // Link that replays this attempt: same page, same seed
+    getReplayUrl() {
+        try {
+            const url = new URL(window.location.href);
+            url.searchParams.set('seed', this.seed);
+            return url.toString();
+        } catch (e) {
+            return `?seed=${encodeURIComponent(this.seed)}`;
+        }
     }
 
     // Method to get debug info about current shuffle states
@@ -1061,4 +2237,204 @@ class QuizEngine {
         console.log('Current shuffle states:', this.previousShuffleStates);
         return this.previousShuffleStates;
     }
-}
\ No newline at end of file
+}
+
+// Leitner-style spaced repetition schedule shared by every quiz.
+// Each question becomes a card in a box; a correct answer moves it up a box
+// (longer interval), a wrong answer sends it back to box 1.
+class ReviewScheduler {
+    constructor(storage = ReviewScheduler.getDefaultStorage()) {
+        this.storage = storage;
+        this.storageKey = 'quizEngine:review';
+        this.boxIntervals = [1, 2, 4, 8, 16]; // Days until the next review, per box
+    }
+
+    static getDefaultStorage() {
+        try {
+            return window.localStorage || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    static getCardId(quizId, questionIndex) {
+        return `${quizId}#${questionIndex}`;
+    }
+
+    // Whole days since the epoch in local time, so "due today" follows the learner's calendar
+    static getDayNumber(date = new Date()) {
+        const localMidnight = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        return Math.round((localMidnight.getTime() - localMidnight.getTimezoneOffset() * 60000) / 86400000);
+    }
+
+    loadCards() {
+        if (!this.storage) return {};
+        try {
+            return JSON.parse(this.storage.getItem(this.storageKey)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    saveCards(cards) {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(cards));
+        } catch (e) {
+            console.warn('Could not save review schedule:', e);
+        }
+    }
+
+    recordOutcome(cardId, isCorrect, cardData = {}) {
+        const cards = this.loadCards();
+        const today = ReviewScheduler.getDayNumber();
+        const card = cards[cardId] || { box: 0, correctCount: 0, incorrectCount: 0 };
+
+        card.box = isCorrect ? Math.min(card.box + 1, this.boxIntervals.length) : 1;
+        card.due = today + this.boxIntervals[card.box - 1];
+        card.lastReviewed = today;
+        isCorrect ? card.correctCount++ : card.incorrectCount++;
+
+        // Refresh the stored copy of the question so edits to the quiz carry over
+        cards[cardId] = { ...card, ...cardData };
+        this.saveCards(cards);
+        return cards[cardId];
+    }
+
+    // Stored cards that are due, plus a new card for every question of these quizzes
+    // (loaded quizData) that has never been answered
+    getDueCards(day = ReviewScheduler.getDayNumber(), quizzes = []) {
+        const cards = this.loadCards();
+        const newCards = quizzes.flatMap(quizData => this.getNewCards(quizData, day, cards));
+        return Object.keys(cards)
+            .filter(cardId => cards[cardId].due <= day && cards[cardId].question)
+            .map(cardId => ({ id: cardId, ...cards[cardId] }))
+            .concat(newCards)
+            .sort((a, b) => a.due - b.due || a.box - b.box);
+    }
+
+    // Questions of a quiz without a card yet are due the day they are first seen, in box 0
+    getNewCards(quizData, day = ReviewScheduler.getDayNumber(), cards = this.loadCards()) {
+        if (quizData.options?.trackReview === false) return [];
+        const core = new QuizCoreBase(quizData);
+        const quizId = core.getQuizId();
+        return quizData.questions
+            .map((question, index) => ({
+                id: ReviewScheduler.getCardId(quizId, index),
+                box: 0,
+                due: day,
+                isNew: true,
+                quizId,
+                quizTitle: quizData.title,
+                question: { ...question, questionOptions: core.getQuestionOptions(question) }
+            }))
+            .filter(card => !cards[card.id]);
+    }
+
+    // How many questions of these catalog.json entries have no card yet, without loading the quizzes
+    countNewCards(catalogQuizzes) {
+        const cards = this.loadCards();
+        return ReviewScheduler.getReviewableQuizzes(catalogQuizzes).reduce((total, quiz) => total +
+            Array.from({ length: quiz.questions }, (_, i) => ReviewScheduler.getCardId(quiz.quizId, i))
+                .filter(cardId => !cards[cardId]).length, 0);
+    }
+
+    // Catalog entries whose questions can join a review: quiz files (review.html can't read quizzes
+    // embedded in HTML pages) that don't opt out with trackReview: false
+    static getReviewableQuizzes(catalogQuizzes) {
+        return catalogQuizzes.filter(quiz => quiz.source?.endsWith('.json') && quiz.trackReview !== false);
+    }
+
+    // Build quiz data for a single QuizEngine run over every due card
+    buildReviewQuiz(dueCards = this.getDueCards()) {
+        const quizTitles = [...new Set(dueCards.map(card => card.quizTitle))];
+        return {
+            id: 'due-today',
+            title: 'Due Today',
+            description: `Spaced repetition review of ${dueCards.length} question${dueCards.length === 1 ? '' : 's'} from ${quizTitles.join(', ')}.`,
+            options: {
+                persistSession: false // The due list changes as cards are answered
+            },
+            questions: dueCards.map(card => ({
+                ...card.question,
+                reviewCardId: card.id,
+                // New cards aren't stored yet; their first answer saves them with this
+                ...(card.isNew && { reviewCardData: { quizId: card.quizId, quizTitle: card.quizTitle } })
+            }))
+        };
+    }
+}
+
+// Finished attempts per quiz, kept in localStorage for the home page (best/last score,
+// last attempted). Unfinished attempts are the saved sessions, see QuizEngine.saveSession().
+class AttemptHistory {
+    constructor(storage = ReviewScheduler.getDefaultStorage()) {
+        this.storage = storage;
+        this.storageKey = 'quizEngine:history';
+        this.maxAttempts = 20; // Per quiz, oldest dropped first
+    }
+
+    loadHistory() {
+        if (!this.storage) return {};
+        try {
+            return JSON.parse(this.storage.getItem(this.storageKey)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    saveHistory(history) {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(history));
+        } catch (e) {
+            console.warn('Could not save attempt history:', e);
+        }
+    }
+
+    recordAttempt(quizId, attempt) {
+        const history = this.loadHistory();
+        const attempts = [...(history[quizId] || []), attempt];
+        history[quizId] = attempts.slice(-this.maxAttempts);
+        this.saveHistory(history);
+        return history[quizId];
+    }
+
+    getAttempts(quizId) {
+        return this.loadHistory()[quizId] || [];
+    }
+
+    // The saved session of an unfinished attempt, or null
+    getInProgress(quizId) {
+        if (!this.storage) return null;
+        try {
+            const session = JSON.parse(this.storage.getItem(QuizEngine.getSessionKeyFor(quizId)));
+            return session && Array.isArray(session.questionOrder) ? session : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Everything the home page shows for one quiz
+    getSummary(quizId) {
+        const attempts = this.getAttempts(quizId);
+        const last = attempts[attempts.length - 1];
+        const inProgress = this.getInProgress(quizId);
+        const attemptedAt = Math.max(last?.completedAt ?? 0, inProgress?.savedAt ?? 0);
+
+        return {
+            attemptCount: attempts.length,
+            bestPercentage: attempts.length > 0 ? Math.max(...attempts.map(attempt => attempt.percentage)) : null,
+            lastPercentage: last ? last.percentage : null,
+            lastAttemptedAt: attemptedAt || null,
+            inProgress: inProgress ? {
+                answered: inProgress.userAnswers.filter(answer => answer !== null && answer !== undefined).length,
+                questionCount: inProgress.questionOrder.length
+            } : null
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QuizEngine, ReviewScheduler, AttemptHistory };
+}
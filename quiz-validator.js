@@ -0,0 +1,505 @@
+// Quiz Data Validator - Catches broken quizData before it reaches the quiz engine
+// Works in the browser (global QuizValidator) and in Node (require('./quiz-validator'))
+class QuizValidator {
+    // extensions lists what QuizEngine plugins add, so quizzes using them validate:
+    //   { questionTypes: ['essay'], questionFields: ['rubric'], scoringPolicies: ['negative-marking'] }
+    constructor(extensions = {}) {
+        // Every question type renderAnswerInput() knows how to render
+        this.questionTypes = [
+            'multiple-choice',
+            'multiple-answer',
+            'identification',
+            'matching',
+            'true-false',
+            'enumeration',
+            'cloze',
+            'ordering',
+            'numeric'
+        ];
+
+        // Options allowed in both quizData.options and questionOptions
+        this.optionTypes = {
+            shuffleAnswers: 'boolean',
+            caseSensitive: 'boolean',
+            orderSensitive: 'boolean',
+            shuffleChoices: 'boolean',
+            shuffleMatches: 'boolean',
+            unequalList: 'boolean',
+            normalizeWhitespace: 'boolean',
+            ignorePunctuation: 'boolean',
+            ignoreArticles: 'boolean',
+            foldPlurals: 'boolean',
+            typoTolerance: 'number',
+            scoringPolicy: 'string',
+            richText: 'boolean',
+            hintPenalty: 'number',
+            autoSubmit: 'boolean',
+            maxAttempts: 'number'
+        };
+
+        // Options limited to a fixed set of values
+        this.optionValues = {
+            scoringPolicy: ['all-or-nothing', 'proportional', 'penalty']
+        };
+
+        // Numeric options limited to a range: [test, what the value must be]
+        this.optionRanges = {
+            hintPenalty: [value => value >= 0 && value <= 1, 'from 0 to 1'],
+            typoTolerance: [value => value >= 0, '0 or more'],
+            maxAttempts: [value => Number.isInteger(value) && value >= 0, 'a whole number (1 or more, or 0 for unlimited)'],
+            timeLimit: [value => value > 0, 'a number of seconds above 0 (leave it out for no limit)'],
+            questionTimeLimit: [value => value > 0, 'a number of seconds above 0 (leave it out for no limit)']
+        };
+
+        // Options that only make sense for the quiz as a whole
+        this.quizOptionTypes = {
+            persistSession: 'boolean',
+            trackReview: 'boolean',
+            examMode: 'boolean',
+            timeLimit: 'number',
+            questionTimeLimit: 'number',
+            seed: 'string|number',
+            pool: 'object'
+        };
+
+        this.questionFields = [
+            'type', 'question', 'options', 'correctAnswer', 'items', 'matches',
+            'correctMatches', 'questionOptions', 'explanation', 'hint', 'hints', 'points', 'topic', 'tags',
+            'instructions', 'tolerance', 'relativeTolerance', 'unit', 'requireUnit'
+        ];
+
+        this.questionTypes.push(...(extensions.questionTypes || []));
+        this.questionFields.push(...(extensions.questionFields || []));
+        this.optionValues.scoringPolicy.push(...(extensions.scoringPolicies || []));
+    }
+
+    // Returns { errors, warnings }; each entry has a questionIndex (1-based, null for quiz-level) and message
+    validate(quizData) {
+        this.errors = [];
+        this.warnings = [];
+
+        if (!this.isPlainObject(quizData)) {
+            this.error(null, 'Quiz data must be an object with title, description, options and questions');
+            return this.getResult();
+        }
+
+        if (!this.isNonEmptyString(quizData.title)) {
+            this.error(null, 'title is missing or empty');
+        }
+        if (quizData.description !== undefined && typeof quizData.description !== 'string') {
+            this.error(null, 'description must be a string');
+        }
+        // Catalog metadata (tools/build-catalog.js)
+        ['category', 'difficulty'].forEach(field => {
+            if (quizData[field] !== undefined && !this.isNonEmptyString(quizData[field])) {
+                this.error(null, `${field} must be a non-empty string`);
+            }
+        });
+        if (quizData.tags !== undefined &&
+            (!Array.isArray(quizData.tags) || !quizData.tags.every(tag => this.isNonEmptyString(tag)))) {
+            this.error(null, 'tags must be an array of non-empty strings');
+        }
+        if (quizData.options !== undefined) {
+            this.validateOptions(null, 'options', quizData.options, { ...this.optionTypes, ...this.quizOptionTypes });
+        }
+
+        if (!Array.isArray(quizData.questions) || quizData.questions.length === 0) {
+            this.error(null, 'questions must be a non-empty array');
+            return this.getResult();
+        }
+
+        quizData.questions.forEach((question, index) => this.validateQuestion(question, index + 1));
+        this.findDuplicateQuestions(quizData.questions);
+        if (this.isPlainObject(quizData.options?.pool)) {
+            this.validatePool(quizData.options.pool, quizData.questions);
+        }
+
+        return this.getResult();
+    }
+
+    validateQuestion(question, number) {
+        if (!this.isPlainObject(question)) {
+            this.error(number, 'Question must be an object');
+            return;
+        }
+
+        if (!this.questionTypes.includes(question.type)) {
+            const suggestion = this.suggestType(question.type);
+            this.error(number, `Unknown question type "${question.type}"` +
+                (suggestion ? ` (did you mean "${suggestion}"?)` : ` (expected one of: ${this.questionTypes.join(', ')})`));
+        }
+
+        if (!this.isNonEmptyString(question.question)) {
+            this.error(number, 'question text is missing or empty');
+        }
+
+        Object.keys(question).forEach(field => {
+            if (!this.questionFields.includes(field)) {
+                this.warn(number, `Unknown field "${field}" will be ignored`);
+            }
+        });
+
+        if (question.questionOptions !== undefined) {
+            this.validateOptions(number, 'questionOptions', question.questionOptions, this.optionTypes);
+        }
+
+        if (question.topic !== undefined && !this.isNonEmptyString(question.topic)) {
+            this.error(number, 'topic must be a non-empty string');
+        }
+        if (question.tags !== undefined && (!Array.isArray(question.tags) || !question.tags.every(tag => this.isNonEmptyString(tag)))) {
+            this.error(number, 'tags must be an array of non-empty strings');
+        }
+
+        if (question.points !== undefined && (typeof question.points !== 'number' || !(question.points >= 0))) {
+            this.error(number, `points must be a number of 0 or more, got ${JSON.stringify(question.points)}`);
+        }
+
+        ['hint', 'explanation'].forEach(field => {
+            if (field in question && !this.isNonEmptyString(question[field])) {
+                this.warn(number, `${field} is empty`);
+            }
+        });
+        if (question.hints !== undefined && (!Array.isArray(question.hints) || !question.hints.every(hint => this.isNonEmptyString(hint)))) {
+            this.error(number, 'hints must be an array of non-empty strings');
+        }
+
+        switch (question.type) {
+            case 'multiple-choice':
+                this.validateChoices(question, number);
+                if (!this.isIndexInRange(question.correctAnswer, question.options)) {
+                    this.error(number, `correctAnswer must be an index from 0 to ${this.lastIndex(question.options)}, got ${JSON.stringify(question.correctAnswer)}`);
+                }
+                break;
+
+            case 'multiple-answer':
+                this.validateChoices(question, number);
+                if (!Array.isArray(question.correctAnswer) || question.correctAnswer.length === 0) {
+                    this.error(number, 'correctAnswer must be a non-empty array of option indices');
+                    break;
+                }
+                question.correctAnswer.forEach(answer => {
+                    if (!this.isIndexInRange(answer, question.options)) {
+                        this.error(number, `correctAnswer index ${JSON.stringify(answer)} is out of range (0 to ${this.lastIndex(question.options)})`);
+                    }
+                });
+                if (new Set(question.correctAnswer).size !== question.correctAnswer.length) {
+                    this.error(number, 'correctAnswer lists the same index more than once');
+                }
+                break;
+
+            case 'true-false':
+                if (typeof question.correctAnswer !== 'boolean') {
+                    this.error(number, `correctAnswer must be true or false (a boolean, not ${JSON.stringify(question.correctAnswer)})`);
+                }
+                break;
+
+            case 'identification':
+                if (Array.isArray(question.correctAnswer)) {
+                    if (question.correctAnswer.length === 0) {
+                        this.error(number, 'correctAnswer must list at least one acceptable answer');
+                    }
+                    question.correctAnswer.forEach((answer, i) => {
+                        if (!this.isNonEmptyString(answer)) {
+                            this.error(number, `correctAnswer[${i}] must be a non-empty string`);
+                        }
+                    });
+                } else if (!this.isNonEmptyString(question.correctAnswer)) {
+                    this.error(number, 'correctAnswer must be a non-empty string or an array of acceptable strings');
+                }
+                break;
+
+            case 'enumeration':
+                if (!Array.isArray(question.correctAnswer) || question.correctAnswer.length === 0) {
+                    this.error(number, 'correctAnswer must be a non-empty array (one entry per blank)');
+                    break;
+                }
+                question.correctAnswer.forEach((answer, i) => {
+                    const alternatives = Array.isArray(answer) ? answer : [answer];
+                    if (alternatives.length === 0 || !alternatives.every(alt => this.isNonEmptyString(alt))) {
+                        this.error(number, `correctAnswer[${i}] must be a non-empty string or an array of non-empty strings`);
+                    }
+                });
+                break;
+
+            case 'cloze':
+                this.validateCloze(question, number);
+                break;
+
+            case 'numeric':
+                this.validateNumeric(question, number);
+                break;
+
+            case 'ordering':
+                if (!Array.isArray(question.items) || question.items.length < 2) {
+                    this.error(number, 'items must list at least two entries, in the correct order');
+                    break;
+                }
+                question.items.forEach((item, i) => {
+                    if (!this.isNonEmptyString(item)) {
+                        this.error(number, `items[${i}] must be a non-empty string`);
+                    }
+                });
+                this.findDuplicates(question.items).forEach(item => {
+                    this.warn(number, `Item "${item}" appears more than once, so its position is ambiguous`);
+                });
+                break;
+
+            case 'matching':
+                this.validateMatching(question, number);
+                break;
+        }
+    }
+
+    // options.pool: { draw, byType: { type: count }, byTopic: { topic: count } }
+    validatePool(pool, questions) {
+        const isCount = value => Number.isInteger(value) && value > 0;
+        Object.keys(pool).forEach(key => {
+            if (!['draw', 'byType', 'byTopic'].includes(key)) {
+                this.warn(null, `Unknown option options.pool.${key} will be ignored`);
+            }
+        });
+        if (pool.draw !== undefined && !isCount(pool.draw)) {
+            this.error(null, `options.pool.draw must be a whole number above 0, got ${JSON.stringify(pool.draw)}`);
+        }
+
+        const strata = {
+            byType: question => question.type,
+            byTopic: question => [question.topic, ...(Array.isArray(question.tags) ? question.tags : [])]
+        };
+        Object.entries(strata).forEach(([field, getKeys]) => {
+            if (pool[field] === undefined) return;
+            if (!this.isPlainObject(pool[field])) {
+                this.error(null, `options.pool.${field} must be an object of counts`);
+                return;
+            }
+            Object.entries(pool[field]).forEach(([key, count]) => {
+                if (!isCount(count)) {
+                    this.error(null, `options.pool.${field}["${key}"] must be a whole number above 0, got ${JSON.stringify(count)}`);
+                    return;
+                }
+                const available = questions.filter(q => this.isPlainObject(q) && [].concat(getKeys(q)).includes(key)).length;
+                if (available < count) {
+                    this.warn(null, `options.pool.${field} asks for ${count} "${key}" question(s) but only ${available} exist`);
+                }
+            });
+        });
+    }
+
+    validateNumeric(question, number) {
+        // Read correctAnswer the way the quiz grades it (quiz-core.js is loaded first in the browser)
+        const core = typeof QuizCore === 'undefined' ? require('./quiz-core') : QuizCore;
+        const parsed = core.prototype.parseNumericAnswer(question.correctAnswer);
+        if (!parsed) {
+            this.error(number, `correctAnswer must be a number (or a string like "13/2", "6 1/2" or "1.5e3"), got ${JSON.stringify(question.correctAnswer)}`);
+        } else if (parsed.unit) {
+            this.warn(number, `correctAnswer unit "${parsed.unit}" is ignored; list accepted units in unit`);
+        }
+        ['tolerance', 'relativeTolerance'].forEach(field => {
+            if (question[field] !== undefined && (typeof question[field] !== 'number' || !(question[field] >= 0))) {
+                this.error(number, `${field} must be a number of 0 or more, got ${JSON.stringify(question[field])}`);
+            }
+        });
+        if (question.relativeTolerance > 1) {
+            this.warn(number, `relativeTolerance is a fraction (0.05 = 5%); ${question.relativeTolerance} accepts almost anything`);
+        }
+        if (question.unit !== undefined) {
+            const units = Array.isArray(question.unit) ? question.unit : [question.unit];
+            if (units.length === 0 || !units.every(unit => this.isNonEmptyString(unit))) {
+                this.error(number, 'unit must be a non-empty string or an array of accepted unit spellings');
+            }
+        }
+        if (question.requireUnit !== undefined && typeof question.requireUnit !== 'boolean') {
+            this.error(number, 'requireUnit must be true or false');
+        } else if (question.requireUnit && question.unit === undefined) {
+            this.warn(number, 'requireUnit is set but no unit is given');
+        }
+    }
+
+    // Blanks live inline in the question text: "The {{CPU scheduler}} selects from the {{ready queue|ready list}}"
+    validateCloze(question, number) {
+        if (typeof question.question !== 'string') return;
+
+        const blanks = [...question.question.matchAll(/\{\{(.*?)\}\}/g)];
+        if (blanks.length === 0) {
+            this.error(number, 'cloze question has no blanks; mark each one as {{answer}} or {{answer|alternative}}');
+        }
+        blanks.forEach((blank, i) => {
+            if (blank[1].split('|').every(answer => answer.trim() === '')) {
+                this.error(number, `Blank ${i + 1} has no acceptable answer`);
+            }
+        });
+        const unclosed = question.question.replace(/\{\{.*?\}\}/g, '');
+        if (unclosed.includes('{{') || unclosed.includes('}}')) {
+            this.error(number, 'Unbalanced {{ }} in cloze text');
+        }
+        if (question.correctAnswer !== undefined) {
+            this.warn(number, 'correctAnswer is ignored for cloze questions; answers go inside the {{ }} blanks');
+        }
+    }
+
+    validateChoices(question, number) {
+        if (!Array.isArray(question.options) || question.options.length < 2) {
+            this.error(number, 'options must be an array with at least two choices');
+            return;
+        }
+        question.options.forEach((option, i) => {
+            if (!this.isNonEmptyString(option)) {
+                this.error(number, `options[${i}] must be a non-empty string`);
+            }
+        });
+        this.findDuplicates(question.options).forEach(option => {
+            this.warn(number, `Choice "${option}" appears more than once`);
+        });
+    }
+
+    validateMatching(question, number) {
+        ['items', 'matches'].forEach(field => {
+            if (!Array.isArray(question[field]) || question[field].length === 0) {
+                this.error(number, `${field} must be a non-empty array`);
+            } else {
+                question[field].forEach((entry, i) => {
+                    if (!this.isNonEmptyString(entry)) {
+                        this.error(number, `${field}[${i}] must be a non-empty string`);
+                    }
+                });
+                // Items are matched by their text, so duplicates can't be told apart
+                this.findDuplicates(question[field]).forEach(entry => {
+                    this.error(number, `${field} contains "${entry}" more than once`);
+                });
+            }
+        });
+
+        if (!this.isPlainObject(question.correctMatches) || Object.keys(question.correctMatches).length === 0) {
+            this.error(number, 'correctMatches must be an object mapping each match to its item');
+            return;
+        }
+        if (!Array.isArray(question.items) || !Array.isArray(question.matches)) return;
+
+        Object.entries(question.correctMatches).forEach(([match, item]) => {
+            if (!question.matches.includes(match)) {
+                this.error(number, `correctMatches key "${match}" is not one of the matches, so this question can never be answered correctly`);
+            }
+            if (!question.items.includes(item)) {
+                this.error(number, `correctMatches["${match}"] is "${item}", which is not one of the items`);
+            }
+        });
+
+        question.matches.forEach(match => {
+            if (!(match in question.correctMatches)) {
+                this.warn(number, `Match "${match}" has no entry in correctMatches and will act as a distractor`);
+            }
+        });
+    }
+
+    validateOptions(number, field, options, allowedTypes) {
+        if (!this.isPlainObject(options)) {
+            this.error(number, `${field} must be an object`);
+            return;
+        }
+        Object.entries(options).forEach(([key, value]) => {
+            if (!(key in allowedTypes)) {
+                this.warn(number, `Unknown option ${field}.${key} will be ignored`);
+            } else if (!allowedTypes[key].split('|').includes(typeof value)) {
+                this.error(number, `${field}.${key} must be a ${allowedTypes[key].replace('|', ' or ')}, got ${JSON.stringify(value)}`);
+            } else if (this.optionValues[key] && !this.optionValues[key].includes(value)) {
+                this.error(number, `${field}.${key} must be one of ${this.optionValues[key].join(', ')}, got ${JSON.stringify(value)}`);
+            } else if (this.optionRanges[key] && !this.optionRanges[key][0](value)) {
+                this.error(number, `${field}.${key} must be ${this.optionRanges[key][1]}, got ${JSON.stringify(value)}`);
+            }
+        });
+    }
+
+    findDuplicateQuestions(questions) {
+        const seen = new Map();
+        questions.forEach((question, index) => {
+            if (!this.isPlainObject(question) || !this.isNonEmptyString(question.question)) return;
+
+            const key = `${question.type}|${this.normalizeText(question.question)}`;
+            if (seen.has(key)) {
+                this.warn(index + 1, `Duplicate of question ${seen.get(key)}`);
+            } else {
+                seen.set(key, index + 1);
+            }
+        });
+    }
+
+    // Closest known type for typos like "multiple-choise" or "identifcation"
+    suggestType(type) {
+        if (typeof type !== 'string') return null;
+        let best = null;
+        let bestDistance = Infinity;
+        this.questionTypes.forEach(known => {
+            const distance = this.editDistance(type.toLowerCase().trim(), known);
+            if (distance < bestDistance) {
+                best = known;
+                bestDistance = distance;
+            }
+        });
+        return bestDistance <= 3 ? best : null;
+    }
+
+    editDistance(a, b) {
+        const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            let diagonal = previous[0];
+            previous[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const above = previous[j];
+                previous[j] = Math.min(
+                    previous[j] + 1,
+                    previous[j - 1] + 1,
+                    diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                diagonal = above;
+            }
+        }
+        return previous[b.length];
+    }
+
+    findDuplicates(values) {
+        const seen = new Set();
+        const duplicates = new Set();
+        values.forEach(value => {
+            const key = typeof value === 'string' ? value.trim() : value;
+            if (key === '') return; // Blank entries get their own error
+            seen.has(key) ? duplicates.add(value) : seen.add(key);
+        });
+        return [...duplicates];
+    }
+
+    normalizeText(text) {
+        return text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+    }
+
+    isIndexInRange(value, array) {
+        return Number.isInteger(value) && Array.isArray(array) && value >= 0 && value < array.length;
+    }
+
+    lastIndex(array) {
+        return Array.isArray(array) ? array.length - 1 : '?';
+    }
+
+    isNonEmptyString(value) {
+        return typeof value === 'string' && value.trim() !== '';
+    }
+
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    error(questionIndex, message) {
+        this.errors.push({ questionIndex, message });
+    }
+
+    warn(questionIndex, message) {
+        this.warnings.push({ questionIndex, message });
+    }
+
+    getResult() {
+        return { valid: this.errors.length === 0, errors: this.errors, warnings: this.warnings };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuizValidator;
+}
@@ -0,0 +1,238 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const QuizConverter = require('../quiz-converters');
+const QuizValidator = require('../quiz-validator');
+
+// Report entries as [line, skipped] pairs, the part every converter promises
+function reportLines(report) {
+    return report.map(entry => [entry.line, entry.skipped]);
+}
+
+describe('GIFT import', () => {
+    const gift = `// Comments are ignored
+$CATEGORY: $course$/Networks/Layers
+
+::Q1:: Which layer does IP belong to? {=Network ~Transport ~Link ####IP routes packets.}
+
+::Q2:: Pick the transport protocols {~%50%TCP ~%50%UDP ~%-100%IP}
+
+TCP guarantees delivery {TRUE}
+
+::Q4:: Port for HTTP? {#80}
+
+::Q5:: Hops allowed? {#1..5}
+
+Expand "IP" {=Internet Protocol =internet protocol}
+
+Match the layers {=Network -> IP =Transport -> TCP}
+
+Escaped \\{braces\\} and \\= signs {=yes ~no}
+`;
+
+    test('reads every supported question type, with topics and explanations', () => {
+        const { quizData, report } = new QuizConverter().fromGift(gift, { title: 'Networks' });
+        assert.deepEqual(report, []);
+        assert.equal(quizData.title, 'Networks');
+        assert.deepEqual(quizData.questions.map(q => q.type), [
+            'multiple-choice', 'multiple-answer', 'true-false', 'numeric', 'numeric', 'identification', 'matching', 'multiple-choice'
+        ]);
+
+        const [choice, answers, trueFalse, port, hops, expand, matching, escaped] = quizData.questions;
+        assert.deepEqual(choice, {
+            type: 'multiple-choice',
+            question: 'Which layer does IP belong to?',
+            options: ['Network', 'Transport', 'Link'],
+            correctAnswer: 0,
+            explanation: 'IP routes packets.',
+            topic: 'Layers'
+        });
+        assert.deepEqual(answers.correctAnswer, [0, 1]);
+        assert.equal(trueFalse.correctAnswer, true);
+        assert.deepEqual([port.correctAnswer, port.tolerance], [80, undefined]);
+        assert.deepEqual([hops.correctAnswer, hops.tolerance], [3, 2]);
+        assert.deepEqual(expand.correctAnswer, ['Internet Protocol', 'internet protocol']);
+        assert.deepEqual(matching.correctMatches, { Network: 'IP', Transport: 'TCP' });
+        assert.equal(escaped.question, 'Escaped {braces} and = signs');
+    });
+
+    test('imported banks pass the validator', () => {
+        const { quizData } = new QuizConverter().fromGift(gift);
+        assert.deepEqual(new QuizValidator().validate(quizData).errors, []);
+    });
+
+    test('reports what it skipped, with the line each question starts on', () => {
+        const source = `::Q1:: Kept {=yes ~no}
+
+Describe TCP. {}
+
+Just a description.
+
+Nothing is right {~a ~b}
+`;
+        const { quizData, report } = new QuizConverter().fromGift(source);
+        assert.equal(quizData.questions.length, 1);
+        assert.deepEqual(reportLines(report), [[3, true], [5, true], [7, true]]);
+        assert.match(report[0].message, /essay/);
+        assert.match(report[1].message, /no \{answer\} block/);
+        assert.match(report[2].message, /no answer is marked correct/);
+        assert.equal(report[2].text, 'Nothing is right {~a ~b}');
+    });
+
+    test('notes lossy conversions without skipping the question', () => {
+        const { quizData, report } = new QuizConverter().fromGift('Pick {=a#Right ~b#Wrong}');
+        assert.equal(quizData.questions.length, 1);
+        assert.equal(quizData.questions[0].explanation, 'Right');
+        assert.deepEqual(reportLines(report), [[1, false]]);
+    });
+});
+
+describe('Aiken import', () => {
+    test('reads lettered options and the ANSWER line', () => {
+        const { quizData, report } = new QuizConverter().fromAiken('What is 2+2?\nA. 3\nB) 4\nC. 5\nANSWER: B\n');
+        assert.deepEqual(report, []);
+        assert.deepEqual(quizData.questions, [
+            { type: 'multiple-choice', question: 'What is 2+2?', options: ['3', '4', '5'], correctAnswer: 1 }
+        ]);
+    });
+
+    test('reports questions without a usable answer', () => {
+        const source = `No answer line
+A. x
+B. y
+
+Unknown letter
+A. x
+B. y
+ANSWER: D
+One option
+A. only
+ANSWER: A
+`;
+        const { quizData, report } = new QuizConverter().fromAiken(source);
+        assert.deepEqual(quizData.questions, []);
+        assert.deepEqual(reportLines(report), [[1, true], [5, true], [9, true]]);
+        assert.match(report[0].message, /no ANSWER: line/);
+        assert.match(report[1].message, /ANSWER: D doesn't match any option/);
+        assert.match(report[2].message, /at least two lettered options/);
+    });
+});
+
+describe('CSV import', () => {
+    test('reads the columns in any order, with quoted cells', () => {
+        const csv = `answer,question,type,choices,tolerance,topic,points
+Paris|paris,"Capital of France, the country?",,,,Geography,2
+b,Pick b,multiple-choice,a|b|c,,,
+a|c,Pick a and c,multiple-answer,a|b|c,,,
+t,"Water is
+wet",true-false,,,,
+6.5,Average wait?,numeric,,0.1,,
+CPU -> Running|Disk -> Blocked,Match the states,matching,,,,
+`;
+        const { quizData, report } = new QuizConverter().fromCsv(csv);
+        assert.deepEqual(report, []);
+        assert.deepEqual(quizData.questions, [
+            { type: 'identification', question: 'Capital of France, the country?', correctAnswer: ['Paris', 'paris'], topic: 'Geography', points: 2 },
+            { type: 'multiple-choice', question: 'Pick b', options: ['a', 'b', 'c'], correctAnswer: 1 },
+            { type: 'multiple-answer', question: 'Pick a and c', options: ['a', 'b', 'c'], correctAnswer: [0, 2] },
+            { type: 'true-false', question: 'Water is\nwet', correctAnswer: true },
+            { type: 'numeric', question: 'Average wait?', correctAnswer: 6.5, tolerance: 0.1 },
+            {
+                type: 'matching',
+                question: 'Match the states',
+                items: ['CPU', 'Disk'],
+                matches: ['Running', 'Blocked'],
+                correctMatches: { Running: 'CPU', Blocked: 'Disk' }
+            }
+        ]);
+    });
+
+    test('reports bad rows by their line in the file', () => {
+        const csv = `question,answer,type,choices,colour
+Pick z,z,multiple-choice,a|b,
+"Two
+lines",yes,true-false,,
+,orphan,,,
+Essay,anything,essay,,
+Kept,yes,,,
+`;
+        const { quizData, report } = new QuizConverter().fromCsv(csv);
+        assert.deepEqual(quizData.questions.map(q => q.question), ['Kept']);
+        assert.deepEqual(reportLines(report), [[1, false], [2, true], [3, true], [5, true], [6, true]]);
+        assert.match(report[0].message, /unknown column "colour"/);
+        assert.match(report[1].message, /"z" is not one of the choices/);
+        assert.match(report[2].message, /must be true or false/);
+        assert.match(report[3].message, /question cell is empty/);
+        assert.match(report[4].message, /"essay" can't be imported/);
+    });
+
+    test('needs question and answer columns', () => {
+        const { quizData, report } = new QuizConverter().fromCsv('question,reply\nx,y\n');
+        assert.deepEqual(quizData.questions, []);
+        assert.equal(report.at(-1).skipped, true);
+        assert.match(report.at(-1).message, /needs at least "question" and "answer"/);
+    });
+});
+
+describe('GIFT export', () => {
+    const quizData = {
+        title: 'Round trip',
+        description: '',
+        options: {},
+        questions: [
+            { type: 'multiple-choice', question: 'Which {braces} = special?', options: ['a: one', 'b~two', 'c#three'], correctAnswer: 1, explanation: 'Escaped.', topic: 'Syntax' },
+            { type: 'multiple-answer', question: 'Pick two', options: ['w', 'x', 'y', 'z'], correctAnswer: [0, 2], topic: 'Syntax' },
+            { type: 'true-false', question: 'Water is wet', correctAnswer: true, topic: 'Facts' },
+            { type: 'identification', question: 'Capital of France?', correctAnswer: ['Paris', 'paris'], topic: 'Facts' },
+            { type: 'numeric', question: 'Pi?', correctAnswer: 3.14, tolerance: 0.01, topic: 'Facts' },
+            {
+                type: 'matching',
+                question: 'Match the states',
+                items: ['Ready', 'Running'],
+                matches: ['Waiting', 'On CPU'],
+                correctMatches: { Waiting: 'Ready', 'On CPU': 'Running' },
+                topic: 'Facts'
+            }
+        ]
+    };
+
+    test('round-trips through GIFT import unchanged', () => {
+        const converter = new QuizConverter();
+        const { text, report } = converter.toGift(quizData);
+        assert.deepEqual(report, []);
+        assert.deepEqual(converter.fromGift(text, { title: 'Round trip' }), { quizData, report: [] });
+    });
+
+    test('reports questions GIFT has no equivalent for', () => {
+        const withCloze = { ...quizData, questions: [...quizData.questions, { type: 'cloze', question: 'The {{sky}} is blue' }] };
+        const { text, report } = new QuizConverter().toGift(withCloze);
+        assert.doesNotMatch(text, /sky/);
+        assert.deepEqual(reportLines(report), [[null, true]]);
+        assert.match(report[0].message, /^Question 7: cloze questions have no GIFT equivalent/);
+    });
+});
+
+describe('QTI export', () => {
+    test('writes one item per question with its type, points and escaped text', () => {
+        const { xml, report } = new QuizConverter().toQti({
+            title: 'Q & A',
+            questions: [
+                { type: 'multiple-choice', question: 'Is 1 < 2?', options: ['Yes', 'No'], correctAnswer: 0, points: 2 },
+                { type: 'numeric', question: 'Pi?', correctAnswer: 3.14, tolerance: 0.01, unit: 'rad' },
+                { type: 'ordering', question: 'Order these', items: ['a', 'b'] }
+            ]
+        });
+
+        assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>/);
+        assert.match(xml, /<assessment ident="quiz_Q_A" title="Q &amp; A">/);
+        assert.equal(xml.match(/<item /g).length, 2);
+        assert.match(xml, /<fieldentry>multiple_choice_question<\/fieldentry>/);
+        assert.match(xml, /<fieldlabel>points_possible<\/fieldlabel><fieldentry>2<\/fieldentry>/);
+        assert.match(xml, /Is 1 &lt; 2\?/);
+        assert.match(xml, /<varequal respident="response1">q1_0<\/varequal>/);
+        assert.match(xml, /<vargte respident="response1">3.13<\/vargte><varlte respident="response1">3.15<\/varlte>/);
+
+        assert.deepEqual(reportLines(report), [[null, false], [null, true]]);
+        assert.match(report[0].message, /^Question 2: units/);
+        assert.match(report[1].message, /^Question 3: ordering questions have no QTI 1.2 equivalent/);
+    });
+});
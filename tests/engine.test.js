@@ -0,0 +1,269 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { QuizEngine, ReviewScheduler } = require('../quiz-engine');
+
+// The engine without a page: init() would look for the quiz markup, so these tests
+// only call the methods that build HTML strings or keep state
+class HeadlessEngine extends QuizEngine {
+    init() {}
+
+    getStorage() {
+        return (this.storage ||= createStorage());
+    }
+}
+
+// In-memory stand-in for localStorage
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+// A plugin question type whose name and label need escaping
+const oddType = 'odd" data-x="<b>';
+const oddTypePlugin = {
+    questionTypes: {
+        [oddType]: {
+            label: 'Odd <i>type</i>',
+            render: () => '<textarea id="oddAnswer"></textarea>',
+            getAnswer: () => '',
+            isCorrect: answer => answer === 'yes'
+        }
+    }
+};
+
+describe('plugin question types', () => {
+    const keywords = { type: 'keywords', question: 'Name two parts', keywords: ['cpu', 'ram'] };
+    const keywordsType = {
+        label: 'Keywords',
+        render: () => '<textarea id="keywordAnswer"></textarea>',
+        getAnswer: () => '',
+        isCorrect: (answer, question) => question.keywords.every(word => answer.includes(word))
+    };
+
+    function renderFirstQuestion(questionType) {
+        const engine = new HeadlessEngine(
+            { title: 'Plugins', options: { seed: 1 }, questions: [keywords] },
+            { plugins: [{ questionTypes: { keywords: questionType } }] }
+        );
+        engine.shuffleQuestions();
+        const question = engine.quizData.questions[0];
+        return engine.getQuestionHtml(question, engine.getQuestionOptions(question));
+    }
+
+    test('render without an unknown type notice', () => {
+        const html = renderFirstQuestion(keywordsType);
+        assert.ok(html.includes('<textarea id="keywordAnswer"></textarea>'));
+        assert.ok(html.includes('<span class="question-type">Keywords</span>'));
+        assert.ok(!html.includes('Unknown question type'));
+        assert.ok(!html.includes('Active options'));
+    });
+
+    test('can list their own option badges', () => {
+        const html = renderFirstQuestion({ ...keywordsType, describeOptions: () => ['🔤 Any <order>'] });
+        assert.ok(html.includes('Active options:</span> 🔤 Any &lt;order&gt;'));
+    });
+});
+
+describe('results review', () => {
+    test('escapes plugin question types and labels', () => {
+        const engine = new HeadlessEngine(
+            { title: 'Review', options: { seed: 1 }, questions: [{ type: oddType, question: 'Say yes' }] },
+            { plugins: [oddTypePlugin] }
+        );
+        engine.shuffleQuestions();
+        engine.gradeSubmission(0, 'yes');
+
+        const html = engine.renderResultsReview();
+        assert.ok(html.includes('data-type="odd&quot; data-x=&quot;&lt;b&gt;"'));
+        assert.ok(html.includes('<option value="odd&quot; data-x=&quot;&lt;b&gt;">Odd &lt;i&gt;type&lt;/i&gt;</option>'));
+        assert.ok(!html.includes('<i>type</i>'));
+    });
+});
+
+describe('spaced repetition', () => {
+    const questions = [
+        { type: 'identification', question: 'Capital of France?', correctAnswer: 'Paris' },
+        { type: 'identification', question: 'Capital of Spain?', correctAnswer: 'Madrid' }
+    ];
+
+    // Grade an answer the way checkAnswer() does, minus the page
+    function answer(engine, index, userAnswer) {
+        const result = engine.gradeSubmission(index, userAnswer);
+        engine.recordReviewOutcome(engine.quizData.questions[index], result.isCorrect, index);
+    }
+
+    function getBoxes(engine) {
+        const cards = new ReviewScheduler(engine.getStorage()).loadCards();
+        return questions.map((_, i) => cards[ReviewScheduler.getCardId(engine.getQuizId(), i)]?.box);
+    }
+
+    test('retry-missed rounds do not move cards', () => {
+        const engine = new HeadlessEngine({ title: 'Capitals', options: { seed: 1 }, questions });
+        engine.startAttempt();
+        engine.questionOrder.forEach((original, index) => answer(engine, index, original === 0 ? 'Paris' : 'Lisbon'));
+        assert.deepEqual(getBoxes(engine), [1, 1]);
+
+        engine.round++;
+        engine.startAttempt(engine.getMissedQuestionIndices());
+        answer(engine, 0, 'Madrid');
+        assert.equal(engine.getQuestionStatus(0), 'correct');
+        assert.deepEqual(getBoxes(engine), [1, 1]);
+    });
+
+    test('questions never answered are due today, from every registered quiz', () => {
+        const storage = createStorage();
+        const scheduler = new ReviewScheduler(storage);
+        const capitals = { title: 'Capitals', options: { caseSensitive: true }, questions };
+        const optedOut = { title: 'Scratch', options: { trackReview: false }, questions };
+        const engine = new HeadlessEngine({ title: 'Capitals', options: { seed: 1 }, questions: [questions[0]] });
+        engine.storage = storage;
+        engine.startAttempt();
+        answer(engine, 0, 'Paris'); // Due in 2 days now
+
+        const due = scheduler.getDueCards(ReviewScheduler.getDayNumber(), [capitals, optedOut]);
+        assert.deepEqual(due.map(card => card.id), ['capitals#1']);
+        assert.equal(due[0].question.questionOptions.caseSensitive, true);
+        assert.equal(scheduler.countNewCards([
+            { quizId: 'capitals', questions: 2, source: 'Quizzes/Capitals.json' },
+            { quizId: 'history', questions: 3, source: 'Quizzes/History.json' },
+            { quizId: 'scratch', questions: 2, source: 'Quizzes/Scratch.json', trackReview: false },
+            { quizId: 'template', questions: 4, source: 'Prompts/quiz-template.html' }
+        ]), 4);
+
+        // Answering it in a review session stores the card, question and all
+        const review = new HeadlessEngine(scheduler.buildReviewQuiz(due));
+        review.storage = storage;
+        review.startAttempt();
+        answer(review, 0, 'Lisbon');
+        const card = scheduler.loadCards()['capitals#1'];
+        assert.deepEqual([card.box, card.quizId, card.quizTitle, card.question.question], [1, 'capitals', 'Capitals', 'Capital of Spain?']);
+        assert.equal(card.question.reviewCardId, undefined);
+        assert.deepEqual(scheduler.getDueCards(ReviewScheduler.getDayNumber(), [capitals]), []);
+    });
+});
+
+describe('autoSubmit', () => {
+    test('a matching question is complete once every real match has an item, whatever the extra zones hold', () => {
+        const question = {
+            type: 'matching',
+            question: 'Match the states',
+            items: ['Ready', 'Running'],
+            matches: ['Waiting for the CPU', 'On the CPU', 'Finished'],
+            correctMatches: { 'Waiting for the CPU': 'Ready', 'On the CPU': 'Running' },
+            questionOptions: { unequalList: true, autoSubmit: true }
+        };
+        const engine = new HeadlessEngine({ title: 'Matching', questions: [question] });
+
+        assert.equal(engine.isAnswerComplete(question, { 'Waiting for the CPU': 'Ready' }), false);
+        assert.equal(engine.isAnswerComplete(question, { 'Waiting for the CPU': 'Ready', 'On the CPU': 'Running' }), true);
+        assert.equal(engine.isAnswerComplete(question, { 'Finished': 'Ready', 'On the CPU': 'Running' }), false);
+    });
+});
+
+describe('retrying a wrong answer', () => {
+    test('the same answer cannot be submitted again until it is changed', () => {
+        const question = { type: 'identification', question: 'Capital of Italy?', correctAnswer: 'Rome' };
+        const engine = new HeadlessEngine({ title: 'Retry', options: { seed: 1, maxAttempts: 3 }, questions: [question] });
+        engine.shuffleQuestions();
+        engine.getUserAnswer = () => 'Milan'; // What the answer box holds
+
+        engine.gradeSubmission(0, 'Milan');
+        assert.equal(engine.canSubmitAnswer(), false);
+        engine.submitAnswer(); // Enter again: nothing is submitted, so it can move on instead
+        assert.equal(engine.attemptsUsed[0], 1);
+
+        engine.saveDraft(0, 'Milan ');
+        assert.equal(engine.canSubmitAnswer(), true);
+    });
+});
+
+describe('graded questions', () => {
+    // Just enough of an element for the ordering and matching handlers; DOM calls are recorded
+    function createElement(dataset = {}) {
+        const calls = [];
+        return {
+            dataset,
+            calls,
+            previousElementSibling: {},
+            nextElementSibling: {},
+            parentNode: { insertBefore: () => calls.push('insertBefore') },
+            classList: { add: () => calls.push('classList'), remove: () => calls.push('classList'), contains: () => false },
+            querySelector: () => ({ innerHTML: '', remove: () => calls.push('remove') }),
+            setAttribute: () => calls.push('setAttribute'),
+            focus: () => {}
+        };
+    }
+
+    function gradedEngine(question, answer) {
+        const engine = new HeadlessEngine({ title: 'Graded', options: { seed: 1 }, questions: [question] });
+        engine.shuffleQuestions();
+        engine.gradeSubmission(0, answer);
+        return engine;
+    }
+
+    test('ignore the ordering arrow keys', () => {
+        const engine = gradedEngine({ type: 'ordering', question: 'Boot order', items: ['BIOS', 'Kernel'] }, [1, 0]);
+        const item = createElement({ itemIndex: '0' });
+        engine.moveOrderingItem(item, -1, item);
+        assert.deepEqual(item.calls, []);
+    });
+
+    test('ignore placing and clearing matches', () => {
+        const question = { type: 'matching', question: 'Match', items: ['Ready'], matches: ['Waiting'], correctMatches: { Waiting: 'Ready' } };
+        const engine = gradedEngine(question, { Waiting: 'Ready' });
+        engine.matchingDisplay = { items: ['Ready'], matches: ['Waiting'] };
+
+        const zone = createElement({ matchIndex: '0', placedIndex: '0' });
+        engine.clearDropZone(zone);
+        engine.placeItemInZone(zone, '0');
+        engine.selectMatchItem(createElement({ itemIndex: '0' }));
+        assert.deepEqual(zone.calls, []);
+        assert.equal(zone.dataset.placedIndex, '0');
+        assert.equal(engine.selectedMatchItem, undefined);
+        assert.deepEqual(engine.userAnswers[0], { Waiting: 'Ready' });
+    });
+});
+
+describe('exam mode', () => {
+    test('renders no hints', () => {
+        const question = { type: 'identification', question: 'Capital of France?', correctAnswer: 'Paris', hints: ['Starts with P'] };
+        const render = examMode => new HeadlessEngine({ title: 'Exam', options: { seed: 1, examMode }, questions: [question] }).renderHints(question);
+        assert.ok(render(false).includes('Show hint'));
+        assert.equal(render(true), '');
+    });
+});
+
+describe('cloze', () => {
+    test('every blank is as wide as the longest answer in the question', () => {
+        const question = { type: 'cloze', question: 'The {{CPU scheduler|short-term scheduler}} picks from the {{ready queue}} of {{PCBs}}.' };
+        const html = new HeadlessEngine({ title: 'Cloze', questions: [question] }).renderCloze(question);
+        assert.deepEqual(html.match(/size="\d+"/g), ['size="22"', 'size="22"', 'size="22"']);
+    });
+});
+
+describe('resolveQuizUrl', () => {
+    test('maps ids into the quiz folder and keeps relative paths', () => {
+        assert.equal(QuizEngine.resolveQuizUrl('MQ1OS'), 'Quizzes/MQ1OS.json');
+        assert.equal(QuizEngine.resolveQuizUrl('Prompts/demo.json'), 'Prompts/demo.json');
+    });
+
+    test('rejects anything that could leave the site', () => {
+        ['https://evil.example/q.json', '//evil.example/q.json', '\\\\evil.example/q.json', '/\\evil.example/q.json',
+            '/Quizzes/MQ1OS.json', 'Quizzes\\MQ1OS.json', '../secret.json', 'javascript:alert(1)'].forEach(source => {
+            assert.throws(() => QuizEngine.resolveQuizUrl(source), /is not a valid quiz id or path/, source);
+        });
+    });
+
+    test('in the browser the resolved URL has to stay on the page origin', () => {
+        globalThis.location = new URL('https://quiz.example/app/quiz.html?quiz=MQ1OS');
+        try {
+            assert.equal(QuizEngine.resolveQuizUrl('Prompts/demo.json'), 'Prompts/demo.json');
+        } finally {
+            delete globalThis.location;
+        }
+    });
+});
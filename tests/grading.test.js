@@ -0,0 +1,373 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const QuizCore = require('../quiz-core');
+
+// A core over just these questions; grade() uses each question's resolved options
+function createCore(questions, options = {}) {
+    return new QuizCore({ title: 'Grading', options: { seed: 1, ...options }, questions });
+}
+
+function grade(question, answer, quizOptions) {
+    return createCore([question], quizOptions).gradeAnswer(answer, question);
+}
+
+describe('multiple-choice', () => {
+    const question = { type: 'multiple-choice', question: 'Pick b', options: ['a', 'b', 'c'], correctAnswer: 1 };
+
+    test('compares the picked option index, given as a string or a number', () => {
+        assert.equal(grade(question, '1').isCorrect, true);
+        assert.equal(grade(question, 1).isCorrect, true);
+        assert.equal(grade(question, '2').isCorrect, false);
+    });
+
+    test('an unanswered question is wrong and earns nothing', () => {
+        assert.deepEqual(grade(question, null), { isCorrect: false, credit: 0, itemResults: null, nearMisses: [] });
+    });
+});
+
+describe('true-false', () => {
+    test('matches the boolean answer against the picked value', () => {
+        const question = { type: 'true-false', question: 'Water is dry', correctAnswer: false };
+        assert.equal(grade(question, 'false').isCorrect, true);
+        assert.equal(grade(question, 'true').isCorrect, false);
+    });
+});
+
+describe('multiple-answer', () => {
+    const question = {
+        type: 'multiple-answer',
+        question: 'Languages?',
+        options: ['Python', 'HTML', 'JavaScript', 'CSS'],
+        correctAnswer: [0, 2]
+    };
+
+    test('needs exactly the right picks, in any order', () => {
+        assert.equal(grade(question, [2, 0]).isCorrect, true);
+        assert.equal(grade(question, [0]).isCorrect, false);
+        assert.equal(grade(question, [0, 1, 2]).isCorrect, false);
+    });
+
+    test('picking the same option twice does not stand in for a missing pick', () => {
+        assert.equal(grade(question, [0, 0]).isCorrect, false);
+        assert.equal(grade(question, [0, 0], { scoringPolicy: 'proportional' }).credit, 3 / 4);
+    });
+
+    test('all-or-nothing gives no credit for a partly right answer', () => {
+        assert.equal(grade(question, [0]).credit, 0);
+    });
+
+    test('proportional credits every option checked or left unchecked correctly', () => {
+        assert.equal(grade(question, [0], { scoringPolicy: 'proportional' }).credit, 3 / 4);
+        assert.equal(grade(question, [0, 1], { scoringPolicy: 'proportional' }).credit, 2 / 4);
+    });
+
+    test('proportional gives nothing without a right pick', () => {
+        assert.equal(grade(question, [1], { scoringPolicy: 'proportional' }).credit, 0);
+        assert.equal(grade(question, [1, 3], { scoringPolicy: 'proportional' }).credit, 0);
+    });
+
+    test('penalty takes one right pick off for every wrong pick, never below zero', () => {
+        assert.equal(grade(question, [0, 1], { scoringPolicy: 'penalty' }).credit, 0);
+        assert.equal(grade(question, [0, 2, 1], { scoringPolicy: 'penalty' }).credit, 1 / 2);
+        assert.equal(grade(question, [1, 3], { scoringPolicy: 'penalty' }).credit, 0);
+    });
+});
+
+describe('identification', () => {
+    const question = { type: 'identification', question: 'Capital of France?', correctAnswer: 'Paris' };
+
+    test('ignores case and surrounding spaces by default', () => {
+        assert.equal(grade(question, '  paris ').isCorrect, true);
+        assert.equal(grade(question, 'Lyon').isCorrect, false);
+    });
+
+    test('caseSensitive needs the exact case', () => {
+        assert.equal(grade(question, 'paris', { caseSensitive: true }).isCorrect, false);
+        assert.equal(grade(question, 'Paris', { caseSensitive: true }).isCorrect, true);
+    });
+
+    test('accepts any answer from a list of alternatives', () => {
+        const alternatives = { ...question, correctAnswer: ['Round Robin', 'RR'] };
+        assert.equal(grade(alternatives, 'rr').isCorrect, true);
+        assert.equal(grade(alternatives, 'round-robin').isCorrect, false);
+    });
+
+    test('an empty answer is wrong', () => {
+        assert.equal(grade(question, '').isCorrect, false);
+    });
+
+    test('normalization options accept near misses and report them', () => {
+        const threats = { ...question, correctAnswer: 'the insider threats' };
+        const options = { ignoreArticles: true, ignorePunctuation: true, foldPlurals: true };
+        const result = grade(threats, 'Insider-Threat', options);
+        assert.equal(result.isCorrect, true);
+        assert.deepEqual(result.nearMisses, [{ given: 'Insider-Threat', accepted: 'the insider threats' }]);
+        assert.equal(grade(threats, 'Insider-Threat').isCorrect, false);
+    });
+
+    test('typoTolerance allows small typos, but not on short answers', () => {
+        const scheduler = { ...question, correctAnswer: 'scheduler' };
+        assert.equal(grade(scheduler, 'schedular', { typoTolerance: 1 }).isCorrect, true);
+        assert.equal(grade(scheduler, 'schedular').isCorrect, false);
+        assert.equal(grade(scheduler, 'skedular', { typoTolerance: 1 }).isCorrect, false);
+
+        const symbol = { ...question, correctAnswer: 'CPU' };
+        assert.equal(grade(symbol, 'CPI', { typoTolerance: 2 }).isCorrect, false);
+    });
+
+    test('an exact match is preferred, so it is not reported as a near miss', () => {
+        const result = grade({ ...question, correctAnswer: ['Pariss', 'Paris'] }, 'Paris', { typoTolerance: 1 });
+        assert.equal(result.isCorrect, true);
+        assert.deepEqual(result.nearMisses, []);
+    });
+});
+
+describe('enumeration', () => {
+    const ordered = {
+        type: 'enumeration',
+        question: 'First three planets, in order',
+        correctAnswer: ['Mercury', ['Venus', 'Morning Star'], 'Earth']
+    };
+    const unordered = {
+        ...ordered,
+        question: 'Three countries in North America',
+        correctAnswer: [['USA', 'United States', 'America'], 'Canada', ['Mexico', 'México']],
+        questionOptions: { orderSensitive: false }
+    };
+
+    test('order-sensitive answers are checked position by position, with alternates', () => {
+        const result = grade(ordered, ['mercury', 'Morning Star', 'earth']);
+        assert.equal(result.isCorrect, true);
+        assert.deepEqual(result.itemResults, [true, true, true]);
+
+        const swapped = grade(ordered, ['Venus', 'Mercury', 'Earth']);
+        assert.equal(swapped.isCorrect, false);
+        assert.deepEqual(swapped.itemResults, [false, false, true]);
+    });
+
+    test('order-sensitive answers need every entry', () => {
+        const result = grade(ordered, ['Mercury', 'Venus']);
+        assert.equal(result.isCorrect, false);
+        assert.deepEqual(result.itemResults, [true, true]);
+
+        const blank = grade(ordered, ['Mercury', '', 'Earth']);
+        assert.equal(blank.isCorrect, false);
+        assert.deepEqual(blank.itemResults, [true, false, true]);
+    });
+
+    test('unordered answers accept any order and any alternate spelling', () => {
+        const result = grade(unordered, ['méxico', 'United States', 'Canada']);
+        assert.equal(result.isCorrect, true);
+        assert.deepEqual(result.itemResults, [true, true, true]);
+    });
+
+    test('unordered answers with a wrong or missing item are wrong', () => {
+        const wrong = grade(unordered, ['Canada', 'Belize', 'USA']);
+        assert.equal(wrong.isCorrect, false);
+        assert.deepEqual(wrong.itemResults, [true, false, true]);
+        assert.equal(grade(unordered, ['Canada', 'USA']).isCorrect, false);
+    });
+
+    test('two spellings of the same item only count once', () => {
+        const result = grade(unordered, ['USA', 'America', 'Canada'], { scoringPolicy: 'proportional' });
+        assert.equal(result.isCorrect, false);
+        assert.deepEqual(result.itemResults, [true, false, true]);
+        assert.equal(result.credit, 2 / 3);
+    });
+
+    test('repeating the same answer only counts once', () => {
+        const result = grade(unordered, ['Canada', 'Canada', 'Mexico']);
+        assert.equal(result.isCorrect, false);
+        assert.deepEqual(result.itemResults, [true, false, true]);
+    });
+
+    test('more answers than items marks every entry wrong', () => {
+        const result = grade(unordered, ['USA', 'Canada', 'Mexico', 'Belize']);
+        assert.equal(result.isCorrect, false);
+        assert.deepEqual(result.itemResults, [false, false, false, false]);
+    });
+
+    test('typo tolerance applies to each entry and reports the near misses', () => {
+        const result = grade(unordered, ['Canadaa', 'USA', 'Mexico'], { typoTolerance: 1 });
+        assert.equal(result.isCorrect, true);
+        assert.deepEqual(result.nearMisses, [{ given: 'Canadaa', accepted: 'Canada' }]);
+    });
+
+    test('an empty answer is wrong', () => {
+        const result = grade(unordered, []);
+        assert.equal(result.isCorrect, false);
+        assert.deepEqual(result.itemResults, []);
+    });
+
+    test('proportional credit counts the right entries', () => {
+        assert.equal(grade(unordered, ['Canada', 'Mexico'], { scoringPolicy: 'proportional' }).credit, 2 / 3);
+        assert.equal(grade(unordered, ['Canada', 'Mexico']).credit, 0);
+    });
+});
+
+describe('numeric', () => {
+    const question = { type: 'numeric', question: 'Average waiting time?', correctAnswer: 6.5, tolerance: 0.1, unit: ['ms', 'milliseconds'] };
+
+    test('accepts decimals, fractions and mixed numbers within the tolerance', () => {
+        ['6.5', '6.50', '6.45', '13/2', '6 1/2', '6.5 ms', '6.5 Milliseconds'].forEach(answer => {
+            assert.equal(grade(question, answer).isCorrect, true, answer);
+        });
+        assert.equal(grade(question, '6.7').isCorrect, false);
+    });
+
+    test('a typed unit has to be one of the accepted ones', () => {
+        assert.equal(grade(question, '6.5 s').isCorrect, false);
+        assert.equal(grade({ ...question, requireUnit: true }, '6.5').isCorrect, false);
+        assert.equal(grade({ ...question, requireUnit: true }, '6.5ms').isCorrect, true);
+    });
+
+    test('relative tolerance scales with the answer and thousands separators are read', () => {
+        const bytes = { type: 'numeric', question: 'Bytes?', correctAnswer: 1024, relativeTolerance: 0.01 };
+        assert.equal(grade(bytes, '1,030').isCorrect, true);
+        assert.equal(grade(bytes, '1,040').isCorrect, false);
+        assert.equal(grade(bytes, '1.024e3').isCorrect, true);
+    });
+
+    test('floating-point noise still matches without a tolerance', () => {
+        assert.equal(grade({ type: 'numeric', question: 'Sum?', correctAnswer: 0.3 }, String(0.1 + 0.2)).isCorrect, true);
+    });
+
+    test('text that is not a number is wrong', () => {
+        assert.equal(grade(question, 'six').isCorrect, false);
+        assert.equal(grade(question, '').isCorrect, false);
+    });
+});
+
+describe('ordering', () => {
+    const question = { type: 'ordering', question: 'Boot order', items: ['BIOS', 'Bootloader', 'Kernel', 'Init'] };
+
+    test('needs every item at its own position', () => {
+        const result = grade(question, [0, 1, 2, 3]);
+        assert.equal(result.isCorrect, true);
+        assert.deepEqual(result.itemResults, [true, true, true, true]);
+    });
+
+    test('marks each position and credits them under proportional scoring', () => {
+        const result = grade(question, [0, 2, 1, 3], { scoringPolicy: 'proportional' });
+        assert.equal(result.isCorrect, false);
+        assert.deepEqual(result.itemResults, [true, false, false, true]);
+        assert.equal(result.credit, 1 / 2);
+    });
+
+    test('a missing or malformed order is wrong', () => {
+        assert.equal(grade(question, [0, 1, 2]).isCorrect, false);
+        assert.deepEqual(grade(question, null).itemResults, []);
+    });
+});
+
+describe('cloze', () => {
+    const question = {
+        type: 'cloze',
+        question: 'The {{CPU scheduler|short-term scheduler}} picks from the {{ready queue}}.'
+    };
+
+    test('grades each blank against its alternatives', () => {
+        const result = grade(question, ['Short-term scheduler', 'ready queue']);
+        assert.equal(result.isCorrect, true);
+        assert.deepEqual(result.itemResults, [true, true]);
+    });
+
+    test('an empty blank is wrong and partial credit counts the filled-in ones', () => {
+        const result = grade(question, ['CPU scheduler', ''], { scoringPolicy: 'proportional' });
+        assert.equal(result.isCorrect, false);
+        assert.deepEqual(result.itemResults, [true, false]);
+        assert.equal(result.credit, 1 / 2);
+    });
+
+    test('text without blanks can never be right', () => {
+        assert.equal(grade({ ...question, question: 'No blanks here' }, []).isCorrect, false);
+    });
+
+    test('parseCloze splits text parts from blanks', () => {
+        const { parts, blanks } = createCore([]).parseCloze('A {{b | c}} d');
+        assert.deepEqual(parts, ['A ', { blankIndex: 0 }, ' d']);
+        assert.deepEqual(blanks, [['b', 'c']]);
+    });
+});
+
+describe('matching', () => {
+    const question = {
+        type: 'matching',
+        question: 'Match the states',
+        items: ['Ready', 'Running', 'Blocked'],
+        matches: ['Waiting for the CPU', 'On the CPU', 'Waiting for I/O'],
+        correctMatches: { 'Waiting for the CPU': 'Ready', 'On the CPU': 'Running', 'Waiting for I/O': 'Blocked' }
+    };
+
+    test('needs every match placed correctly', () => {
+        assert.equal(grade(question, { ...question.correctMatches }).isCorrect, true);
+        assert.equal(grade(question, { 'Waiting for the CPU': 'Ready', 'On the CPU': 'Running' }).isCorrect, false);
+        assert.equal(grade(question, { ...question.correctMatches, 'On the CPU': 'Blocked' }).isCorrect, false);
+    });
+
+    test('proportional credit counts the right pairs', () => {
+        const answer = { 'Waiting for the CPU': 'Ready', 'On the CPU': 'Blocked' };
+        assert.equal(grade(question, answer, { scoringPolicy: 'proportional' }).credit, 1 / 3);
+    });
+});
+
+describe('plugins', () => {
+    const question = { type: 'keywords', question: 'Name two parts', keywords: ['cpu', 'ram'] };
+    const plugin = {
+        questionTypes: {
+            keywords: {
+                isCorrect: (answer, q) => q.keywords.every(word => answer.includes(word)),
+                getCredit: (answer, q) => q.keywords.filter(word => answer.includes(word)).length / q.keywords.length
+            }
+        },
+        gradingStrategies: { 'half-if-right': (answer, q, options, isCorrect) => isCorrect ? 0.5 : 0 }
+    };
+
+    test('plugin question types grade and give partial credit', () => {
+        const core = createCore([question]);
+        core.installPlugin(plugin);
+        assert.deepEqual(core.gradeAnswer('cpu and ram', question), { isCorrect: true, credit: 1, itemResults: null, nearMisses: [] });
+        assert.equal(core.gradeAnswer('cpu only', question).credit, 1 / 2);
+    });
+
+    test('unknown types are wrong', () => {
+        assert.equal(grade(question, 'cpu and ram').isCorrect, false);
+    });
+
+    test('grading strategies are picked by scoringPolicy and kept between 0 and 1', () => {
+        const core = createCore([question], { scoringPolicy: 'half-if-right' });
+        core.installPlugin(plugin);
+        core.installPlugin({ gradingStrategies: { generous: () => 5 } });
+        assert.equal(core.gradeAnswer('cpu and ram', question).credit, 0.5);
+        assert.equal(core.gradeAnswer('cpu and ram', { ...question, questionOptions: { scoringPolicy: 'generous' } }).credit, 1);
+    });
+});
+
+describe('malformed answers', () => {
+    // One question per built-in type; missing, empty and wrong-shape answers are wrong and earn
+    // nothing, even under proportional scoring, rather than throwing
+    const questions = [
+        { type: 'multiple-choice', question: 'Pick a', options: ['a', 'b'], correctAnswer: 0 },
+        { type: 'true-false', question: 'Water is wet', correctAnswer: true },
+        { type: 'multiple-answer', question: 'Pick a and b', options: ['a', 'b', 'c'], correctAnswer: [0, 1] },
+        { type: 'identification', question: 'Capital of France?', correctAnswer: 'Paris' },
+        { type: 'enumeration', question: 'Two colours', correctAnswer: ['red', 'blue'] },
+        { type: 'enumeration', question: 'Two colours', correctAnswer: ['red', 'blue'], questionOptions: { orderSensitive: false } },
+        { type: 'numeric', question: 'Two plus two?', correctAnswer: 4 },
+        { type: 'ordering', question: 'Count', items: ['one', 'two'] },
+        { type: 'cloze', question: 'The {{sky}} is {{blue}}.' },
+        { type: 'matching', question: 'Match', items: ['x', 'y'], matches: ['X', 'Y'], correctMatches: { X: 'x', Y: 'y' } }
+    ];
+    const answers = [undefined, null, '', [], {}, 'text', 42, [null, undefined], [{}, 7], { 0: null }];
+
+    questions.forEach(question => {
+        const orderSensitive = question.questionOptions?.orderSensitive ?? true;
+        test(`${question.type}${question.type === 'enumeration' ? ` (orderSensitive: ${orderSensitive})` : ''}`, () => {
+            answers.forEach(answer => {
+                const result = grade(question, answer, { scoringPolicy: 'proportional' });
+                assert.equal(result.isCorrect, false, JSON.stringify(answer));
+                assert.equal(result.credit, 0, JSON.stringify(answer));
+            });
+        });
+    });
+});
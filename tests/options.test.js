@@ -0,0 +1,68 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const QuizCore = require('../quiz-core');
+
+const question = { type: 'identification', question: 'Capital of France?', correctAnswer: 'Paris' };
+
+describe('getQuestionOptions', () => {
+    test('falls back to the defaults', () => {
+        const options = new QuizCore({ title: 'Defaults', questions: [question] }).getQuestionOptions(question);
+        assert.equal(options.caseSensitive, false);
+        assert.equal(options.orderSensitive, true);
+        assert.equal(options.typoTolerance, 0);
+        assert.equal(options.maxAttempts, 1);
+        assert.equal(options.hintPenalty, 0.25);
+        assert.equal(options.scoringPolicy, 'all-or-nothing');
+    });
+
+    test('quiz options override the defaults and question options override both', () => {
+        const core = new QuizCore({ title: 'Options', options: { caseSensitive: true, maxAttempts: 3 }, questions: [question] });
+        const overridden = { ...question, questionOptions: { caseSensitive: false, scoringPolicy: 'proportional' } };
+
+        assert.equal(core.getQuestionOptions(question).caseSensitive, true);
+        assert.equal(core.getQuestionOptions(overridden).caseSensitive, false);
+        assert.equal(core.getQuestionOptions(overridden).scoringPolicy, 'proportional');
+        assert.equal(core.getQuestionOptions(overridden).maxAttempts, 3);
+    });
+
+    test('falsy question options still override', () => {
+        const core = new QuizCore({ title: 'Options', options: { typoTolerance: 2, hintPenalty: 0.5 }, questions: [question] });
+        const strict = { ...question, questionOptions: { typoTolerance: 0, hintPenalty: 0 } };
+        assert.equal(core.getQuestionOptions(strict).typoTolerance, 0);
+        assert.equal(core.getQuestionOptions(strict).hintPenalty, 0);
+    });
+
+    test('exam options come from the quiz', () => {
+        const core = new QuizCore({ title: 'Exam', options: { examMode: true, timeLimit: 600 }, questions: [question] });
+        assert.deepEqual(core.examOptions, { enabled: true, timeLimit: 600, questionTimeLimit: 0 });
+        assert.equal(core.isExamMode(), true);
+    });
+});
+
+describe('points', () => {
+    test('questions are worth 1 point unless they say otherwise', () => {
+        const core = new QuizCore({ title: 'Points', questions: [question, { ...question, points: 3 }, { ...question, points: -2 }] });
+        core.startAttempt();
+        assert.equal(core.getTotalPoints(), 5);
+    });
+
+    test('each revealed hint takes hintPenalty off, never below zero', () => {
+        const hinted = { ...question, hints: ['Starts with P', 'Five letters'], questionOptions: { hintPenalty: 0.6 } };
+        const core = new QuizCore({ title: 'Hints', questions: [hinted] });
+        core.startAttempt();
+
+        assert.equal(core.getHintFactor(hinted, 0), 1);
+        core.hintsUsed[0] = 1;
+        assert.equal(core.getHintFactor(hinted, 0), 0.4);
+        core.hintsUsed[0] = 2;
+        assert.equal(core.getHintFactor(hinted, 0), 0);
+    });
+});
+
+describe('getQuizIdFor', () => {
+    test('prefers the id and slugs the title otherwise', () => {
+        assert.equal(QuizCore.getQuizIdFor({ id: 'MQ1OS', title: 'Memory' }), 'mq1os');
+        assert.equal(QuizCore.getQuizIdFor({ title: ' Processing & CPU Scheduling! ' }), 'processing-cpu-scheduling');
+        assert.equal(QuizCore.getQuizIdFor({}), 'quiz');
+    });
+});
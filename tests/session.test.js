@@ -0,0 +1,154 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const QuizCore = require('../quiz-core');
+
+const questions = [
+    { type: 'identification', question: 'Capital of France?', correctAnswer: 'Paris', hints: ['Starts with P', 'Five letters'] },
+    { type: 'multiple-choice', question: 'Pick b', options: ['a', 'b'], correctAnswer: 1, points: 2 },
+    { type: 'true-false', question: 'Water is wet', correctAnswer: true }
+];
+
+// Questions stay in bank order (seeded shuffles are covered in shuffle.test.js)
+function startCore(options = {}) {
+    const core = new QuizCore({ title: 'Session', options, questions });
+    core.questionOrder = [0, 1, 2];
+    return core;
+}
+
+describe('answer lifecycle', () => {
+    test('edits stay drafts until they are submitted', () => {
+        const core = startCore();
+        assert.equal(core.saveDraft(0, 'Paris'), 'draft');
+        assert.equal(core.getUnsubmittedCount(), 1);
+        assert.equal(core.userAnswers[0], undefined);
+        assert.equal(core.score, 0);
+    });
+
+    test('a submitted answer is graded once and can no longer change', () => {
+        const core = startCore();
+        const result = core.gradeSubmission(1, '1');
+        assert.equal(result.final, true);
+        assert.equal(result.pointsEarned, 2);
+        assert.equal(core.score, 2);
+        assert.equal(core.getAnswerState(1), 'graded');
+        assert.equal(core.canEditAnswer(1), false);
+        assert.equal(core.saveDraft(1, '0'), null);
+        assert.equal(core.getQuestionStatus(1), 'correct');
+    });
+
+    test('a wrong answer with attempts left goes back to being a draft', () => {
+        const core = startCore({ maxAttempts: 2 });
+        const first = core.gradeSubmission(0, 'Lyon');
+        assert.deepEqual([first.final, first.attemptsLeft, first.pointsEarned], [false, 1, 0]);
+        assert.equal(core.getAnswerState(0), 'draft');
+        assert.equal(core.retryFeedback[0], true);
+
+        core.saveDraft(0, 'Marseille');
+        assert.equal(core.retryFeedback[0], undefined);
+        const second = core.gradeSubmission(0, 'Marseille');
+        assert.deepEqual([second.final, second.attemptsLeft], [true, 0]);
+        assert.equal(core.getQuestionStatus(0), 'incorrect');
+    });
+
+    test('maxAttempts 0 allows unlimited tries', () => {
+        const core = startCore({ maxAttempts: 0 });
+        for (let i = 0; i < 5; i++) {
+            assert.equal(core.gradeSubmission(0, 'Lyon').final, false);
+        }
+        assert.equal(core.getAttemptsLeft(questions[0], 0), Infinity);
+        assert.equal(core.gradeSubmission(0, 'Paris').final, true);
+    });
+
+    test('missed questions include wrong and skipped ones', () => {
+        const core = startCore();
+        core.gradeSubmission(0, 'Paris');
+        core.gradeSubmission(1, '0');
+        assert.deepEqual(core.getMissedQuestionIndices(), [1, 2]);
+    });
+});
+
+describe('hints', () => {
+    test('revealing hints lowers the points the question is worth', () => {
+        const core = startCore();
+        assert.equal(core.revealHint(0), 'Starts with P');
+        assert.equal(core.revealHint(0), 'Five letters');
+        assert.equal(core.revealHint(0), null);
+        assert.equal(core.getHintsUsedCount(), 2);
+        assert.equal(core.gradeSubmission(0, 'Paris').pointsEarned, 0.5);
+    });
+
+    test('no hints once the question is scored', () => {
+        const core = startCore();
+        core.gradeSubmission(0, 'Paris');
+        assert.equal(core.revealHint(0), null);
+        assert.equal(core.revealHint(1), null); // No hints at all
+    });
+});
+
+describe('exam mode', () => {
+    test('answers are committed right away and graded together', () => {
+        const core = startCore({ examMode: true });
+        assert.equal(core.saveDraft(0, 'Paris'), 'submitted');
+        assert.equal(core.saveDraft(1, '0'), 'submitted');
+        assert.equal(core.getAnsweredCount(), 2);
+
+        const results = core.gradeAllAnswers();
+        assert.deepEqual(results.map(result => result?.isCorrect ?? null), [true, false, null]);
+        assert.equal(core.score, 1);
+        assert.equal(core.getQuestionStatus(2), 'skipped');
+    });
+
+    test('hints stay hidden', () => {
+        const core = startCore({ examMode: true });
+        assert.equal(core.canRevealHint(questions[0], 0), false);
+        assert.equal(core.revealHint(0), null);
+        assert.equal(core.getHintsUsedCount(), 0);
+    });
+
+    test('locked questions can no longer change', () => {
+        const core = startCore({ examMode: true });
+        core.lockedQuestions.push(0);
+        assert.equal(core.saveDraft(0, 'Paris'), null);
+    });
+});
+
+describe('session state', () => {
+    test('survives a JSON round trip into a new core', () => {
+        const core = startCore({ maxAttempts: 2 });
+        core.revealHint(0);
+        core.gradeSubmission(0, 'Lyon');
+        core.gradeSubmission(1, '1');
+        core.saveDraft(2, 'true');
+        core.currentQuestionIndex = 2;
+
+        const session = JSON.parse(JSON.stringify(core.getSessionState()));
+        const restored = startCore({ maxAttempts: 2 });
+        assert.equal(restored.isValidSession(session), true);
+        restored.restoreSessionState(session);
+
+        assert.equal(restored.currentQuestionIndex, 2);
+        assert.equal(restored.score, 2);
+        assert.equal(restored.seed, core.seed);
+        assert.deepEqual(restored.answerStates, ['draft', 'graded', 'draft']);
+        assert.deepEqual(restored.draftAnswers, ['Lyon', null, 'true']);
+        assert.equal(restored.gradeSubmission(0, 'Paris').pointsEarned, 0.75);
+    });
+
+    test('rejects sessions that no longer fit the quiz', () => {
+        const core = startCore();
+        const session = core.getSessionState();
+        assert.equal(core.isValidSession(null), false);
+        assert.equal(core.isValidSession({ ...session, version: 2 }), false);
+        assert.equal(core.isValidSession({ ...session, questionOrder: [0, 1, 3] }), false);
+        assert.equal(core.isValidSession({ ...session, questionOrder: [0, 0] }), false);
+        assert.equal(core.isValidSession({ ...session, currentQuestionIndex: 3 }), false);
+        assert.equal(core.isValidSession({ ...session, questionOrder: [2, 0] }), true);
+    });
+
+    test('sessions saved before the answer lifecycle count their answers as graded', () => {
+        const core = startCore();
+        const { answerStates, ...oldSession } = core.getSessionState();
+        core.restoreSessionState({ ...oldSession, userAnswers: ['Paris', null, 'true'] });
+        assert.deepEqual(core.answerStates, ['graded', undefined, 'graded']);
+    });
+});
@@ -0,0 +1,105 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const QuizCore = require('../quiz-core');
+
+// Ten questions (four multiple-choice, six identification) split between two topics
+function createQuiz(options = {}) {
+    const questions = Array.from({ length: 10 }, (_, i) => ({
+        type: i < 4 ? 'multiple-choice' : 'identification',
+        question: `Question ${i}`,
+        options: ['a', 'b'],
+        correctAnswer: i < 4 ? 0 : `answer ${i}`,
+        topic: i % 2 === 0 ? 'even' : 'odd'
+    }));
+    return { title: 'Shuffle', options, questions };
+}
+
+function startCore(quizData) {
+    const core = new QuizCore(quizData);
+    core.shuffleQuestions();
+    return core;
+}
+
+describe('seeded shuffling', () => {
+    test('the same seed asks the same questions in the same order', () => {
+        const first = startCore(createQuiz({ seed: 'abc' }));
+        const second = startCore(createQuiz({ seed: 'abc' }));
+        assert.deepEqual(first.questionOrder, second.questionOrder);
+        assert.deepEqual([...first.questionOrder].sort((a, b) => a - b), [...Array(10).keys()]);
+        assert.deepEqual(first.quizData.questions, first.questionOrder.map(i => first.originalQuizData.questions[i]));
+    });
+
+    test('different seeds give different orders', () => {
+        const orders = ['a', 'b', 'c', 'd'].map(seed => startCore(createQuiz({ seed })).questionOrder.join());
+        assert.ok(new Set(orders).size > 1);
+    });
+
+    test('each stateKey replays its own shuffles in sequence', () => {
+        const replay = () => {
+            const core = new QuizCore(createQuiz({ seed: 7 }));
+            return [core.shuffleArrayDifferently([1, 2, 3, 4], 'q1'), core.shuffleArrayDifferently([1, 2, 3, 4], 'q1')];
+        };
+        assert.deepEqual(replay(), replay());
+    });
+
+    test('a reshuffle never repeats the previous order or an order to avoid', () => {
+        const core = new QuizCore(createQuiz({ seed: 3 }));
+        let previous = core.shuffleArrayDifferently([1, 2, 3], 'items', [[0, 1, 2]]);
+        for (let i = 0; i < 20; i++) {
+            const next = core.shuffleArrayDifferently([1, 2, 3], 'items', [[0, 1, 2]]);
+            assert.notDeepEqual(next, previous);
+            assert.notDeepEqual(next, [0, 1, 2]);
+            previous = next;
+        }
+    });
+
+    test('true/false alternates which option comes first', () => {
+        const core = new QuizCore(createQuiz({ seed: 5 }));
+        const first = core.shuffleTrueFalseDifferently('tf')[0].value;
+        const second = core.shuffleTrueFalseDifferently('tf')[0].value;
+        assert.notEqual(first, second);
+    });
+
+    test('a layout is worked out once and reused', () => {
+        const core = new QuizCore(createQuiz({ seed: 5 }));
+        let calls = 0;
+        const createLayout = () => ++calls;
+        assert.equal(core.getQuestionLayout('q0', createLayout), 1);
+        assert.equal(core.getQuestionLayout('q0', createLayout), 1);
+        assert.equal(calls, 1);
+    });
+});
+
+describe('question pools', () => {
+    test('draw picks that many questions', () => {
+        const core = startCore(createQuiz({ seed: 1, pool: { draw: 4 } }));
+        assert.equal(core.questionOrder.length, 4);
+        assert.equal(new Set(core.questionOrder).size, 4);
+    });
+
+    test('byType and byTopic draw from matching questions and draw tops up the rest', () => {
+        const core = startCore(createQuiz({ seed: 1, pool: { byType: { 'multiple-choice': 2 }, byTopic: { odd: 1 }, draw: 6 } }));
+        const questions = core.quizData.questions;
+        assert.equal(questions.length, 6);
+        assert.ok(questions.filter(q => q.type === 'multiple-choice').length >= 2);
+        assert.ok(questions.some(q => q.topic === 'odd'));
+    });
+
+    test('an empty pool keeps every question', () => {
+        assert.equal(startCore(createQuiz({ seed: 1, pool: {} })).questionOrder.length, 10);
+    });
+});
+
+describe('startAttempt', () => {
+    test('starts over with a new seed and can be limited to some questions', () => {
+        const core = startCore(createQuiz({ seed: 1 }));
+        core.score = 4;
+        core.userAnswers[0] = 'a';
+
+        core.startAttempt([2, 5, 7]);
+        assert.equal(core.score, 0);
+        assert.deepEqual(core.userAnswers, []);
+        assert.notEqual(core.seed, '1');
+        assert.deepEqual([...core.questionOrder].sort(), [2, 5, 7]);
+    });
+});
@@ -0,0 +1,173 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const QuizValidator = require('../quiz-validator');
+
+// One valid question per built-in type
+const questions = [
+    { type: 'multiple-choice', question: 'Pick b', options: ['a', 'b', 'c'], correctAnswer: 1 },
+    { type: 'multiple-answer', question: 'Pick a and c', options: ['a', 'b', 'c'], correctAnswer: [0, 2] },
+    { type: 'true-false', question: 'Water is wet', correctAnswer: true },
+    { type: 'identification', question: 'Capital of France?', correctAnswer: ['Paris', 'Paree'] },
+    { type: 'enumeration', question: 'Two primary colours', correctAnswer: ['red', ['blue', 'azure']] },
+    { type: 'cloze', question: 'The {{sky|heavens}} is {{blue}}.' },
+    { type: 'numeric', question: 'Half of 13?', correctAnswer: '13/2', tolerance: 0.1, unit: ['ms'] },
+    { type: 'ordering', question: 'Boot order', items: ['BIOS', 'Kernel', 'Init'] },
+    { type: 'matching', question: 'Match', items: ['Ready', 'Running'], matches: ['Waiting', 'On CPU'], correctMatches: { Waiting: 'Ready', 'On CPU': 'Running' } }
+];
+
+function createQuiz(overrides = {}) {
+    return { title: 'Valid', description: 'Every type', options: { scoringPolicy: 'proportional', seed: 1 }, questions, ...overrides };
+}
+
+// Check a single question, numbered 1 in the report
+function validateQuestion(question, extensions) {
+    return new QuizValidator(extensions).validate(createQuiz({ questions: [question] }));
+}
+
+function messages(entries) {
+    return entries.map(entry => entry.message);
+}
+
+describe('valid quizzes', () => {
+    test('every built-in type passes without errors or warnings', () => {
+        assert.deepEqual(new QuizValidator().validate(createQuiz()), { valid: true, errors: [], warnings: [] });
+    });
+
+    test('plugin types, fields and scoring policies pass once they are declared', () => {
+        const essay = { type: 'essay', question: 'Explain paging', rubric: 'Mentions frames', questionOptions: { scoringPolicy: 'rubric' } };
+        assert.equal(validateQuestion(essay).valid, false);
+        const result = validateQuestion(essay, { questionTypes: ['essay'], questionFields: ['rubric'], scoringPolicies: ['rubric'] });
+        assert.deepEqual([result.errors, result.warnings], [[], []]);
+    });
+});
+
+describe('quiz-level errors', () => {
+    test('anything but an object is rejected', () => {
+        [null, [], 'quiz'].forEach(quizData => {
+            const result = new QuizValidator().validate(quizData);
+            assert.equal(result.valid, false);
+            assert.equal(result.errors[0].questionIndex, null);
+        });
+    });
+
+    test('title and questions are required', () => {
+        const result = new QuizValidator().validate({ title: ' ', questions: [] });
+        assert.deepEqual(messages(result.errors), ['title is missing or empty', 'questions must be a non-empty array']);
+    });
+
+    test('options are type-checked and limited to their allowed values', () => {
+        const result = new QuizValidator().validate(createQuiz({
+            options: { examMode: 'yes', scoringPolicy: 'generous', hintPenalty: 2, colour: 'red' }
+        }));
+        assert.deepEqual(messages(result.errors), [
+            'options.examMode must be a boolean, got "yes"',
+            'options.scoringPolicy must be one of all-or-nothing, proportional, penalty, got "generous"',
+            'options.hintPenalty must be from 0 to 1, got 2'
+        ]);
+        assert.deepEqual(messages(result.warnings), ['Unknown option options.colour will be ignored']);
+    });
+
+    test('attempts, typo tolerance and time limits have to make sense', () => {
+        const result = new QuizValidator().validate(createQuiz({
+            options: { maxAttempts: 1.5, typoTolerance: -1, timeLimit: 0, questionTimeLimit: -30 }
+        }));
+        assert.deepEqual(messages(result.errors), [
+            'options.maxAttempts must be a whole number (1 or more, or 0 for unlimited), got 1.5',
+            'options.typoTolerance must be 0 or more, got -1',
+            'options.timeLimit must be a number of seconds above 0 (leave it out for no limit), got 0',
+            'options.questionTimeLimit must be a number of seconds above 0 (leave it out for no limit), got -30'
+        ]);
+        assert.deepEqual(new QuizValidator().validate(createQuiz({ options: { maxAttempts: 0, typoTolerance: 2, timeLimit: 600 } })).errors, []);
+    });
+
+    test('pools that ask for more questions than exist are flagged', () => {
+        const result = new QuizValidator().validate(createQuiz({ options: { pool: { draw: 0, byType: { 'true-false': 2 } } } }));
+        assert.deepEqual(messages(result.errors), ['options.pool.draw must be a whole number above 0, got 0']);
+        assert.deepEqual(messages(result.warnings), ['options.pool.byType asks for 2 "true-false" question(s) but only 1 exist']);
+    });
+});
+
+describe('question errors', () => {
+    test('report the 1-based question number', () => {
+        const broken = { ...questions[2], correctAnswer: 'true' };
+        const result = new QuizValidator().validate(createQuiz({ questions: [questions[0], broken] }));
+        assert.deepEqual(result.errors, [
+            { questionIndex: 2, message: 'correctAnswer must be true or false (a boolean, not "true")' }
+        ]);
+    });
+
+    test('unknown types suggest the closest known one', () => {
+        const result = validateQuestion({ ...questions[0], type: 'multiple-choise' });
+        assert.deepEqual(messages(result.errors), ['Unknown question type "multiple-choise" (did you mean "multiple-choice"?)']);
+    });
+
+    test('answer indices have to point at an option', () => {
+        assert.deepEqual(messages(validateQuestion({ ...questions[0], correctAnswer: 3 }).errors),
+            ['correctAnswer must be an index from 0 to 2, got 3']);
+        assert.deepEqual(messages(validateQuestion({ ...questions[1], correctAnswer: [0, 0, 5] }).errors), [
+            'correctAnswer index 5 is out of range (0 to 2)',
+            'correctAnswer lists the same index more than once'
+        ]);
+    });
+
+    test('text answers have to be non-empty strings', () => {
+        assert.deepEqual(messages(validateQuestion({ ...questions[3], correctAnswer: ['Paris', ''] }).errors),
+            ['correctAnswer[1] must be a non-empty string']);
+        assert.deepEqual(messages(validateQuestion({ ...questions[4], correctAnswer: ['red', []] }).errors),
+            ['correctAnswer[1] must be a non-empty string or an array of non-empty strings']);
+    });
+
+    test('cloze text needs balanced blanks with an answer each', () => {
+        assert.deepEqual(messages(validateQuestion({ ...questions[5], question: 'No blanks' }).errors),
+            ['cloze question has no blanks; mark each one as {{answer}} or {{answer|alternative}}']);
+        assert.deepEqual(messages(validateQuestion({ ...questions[5], question: 'The {{ | }} is {{blue' }).errors),
+            ['Blank 1 has no acceptable answer', 'Unbalanced {{ }} in cloze text']);
+    });
+
+    test('numeric answers need a number and sensible tolerances', () => {
+        const result = validateQuestion({ ...questions[6], correctAnswer: 'six', tolerance: -1, relativeTolerance: 5 });
+        assert.deepEqual(messages(result.errors), [
+            'correctAnswer must be a number (or a string like "13/2", "6 1/2" or "1.5e3"), got "six"',
+            'tolerance must be a number of 0 or more, got -1'
+        ]);
+        assert.match(result.warnings[0].message, /^relativeTolerance is a fraction/);
+    });
+
+    test('numeric answers are read like the quiz grades them', () => {
+        ['1 1/2', '-6 1/2', '1.5e3', '2.5E-3', '1,024', 6.5].forEach(correctAnswer => {
+            assert.deepEqual(validateQuestion({ ...questions[6], correctAnswer }).errors, [], String(correctAnswer));
+        });
+        assert.deepEqual(messages(validateQuestion({ ...questions[6], correctAnswer: '6.5 ms' }).warnings),
+            ['correctAnswer unit "ms" is ignored; list accepted units in unit']);
+    });
+
+    test('matching answers have to use the listed items and matches', () => {
+        const result = validateQuestion({ ...questions[8], correctMatches: { Waiting: 'Ready', Sleeping: 'Running', 'On CPU': 'Zombie' } });
+        assert.deepEqual(messages(result.errors), [
+            'correctMatches key "Sleeping" is not one of the matches, so this question can never be answered correctly',
+            'correctMatches["On CPU"] is "Zombie", which is not one of the items'
+        ]);
+    });
+
+    test('ordering needs at least two items', () => {
+        assert.deepEqual(messages(validateQuestion({ ...questions[7], items: ['BIOS'] }).errors),
+            ['items must list at least two entries, in the correct order']);
+    });
+});
+
+describe('warnings', () => {
+    test('unknown fields, empty explanations and repeated choices', () => {
+        const result = validateQuestion({ ...questions[0], options: ['a', 'b', 'a'], explanation: '', answer: 1 });
+        assert.equal(result.valid, true);
+        assert.deepEqual(messages(result.warnings), [
+            'Unknown field "answer" will be ignored',
+            'explanation is empty',
+            'Choice "a" appears more than once'
+        ]);
+    });
+
+    test('the same question asked twice', () => {
+        const result = new QuizValidator().validate(createQuiz({ questions: [questions[0], { ...questions[0], question: 'pick B!' }] }));
+        assert.deepEqual(result.warnings, [{ questionIndex: 2, message: 'Duplicate of question 1' }]);
+    });
+});
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+// Build catalog.json, the list of quizzes the home page shows.
+//
+//   node tools/build-catalog.js          rewrite catalog.json from Quizzes/ and Prompts/quiz-template.html
+//   node tools/build-catalog.js --check  only report whether catalog.json is out of date (exit 1 if it is)
+//
+// A quiz that exists as both Quizzes/NAME.json and Quizzes/NAME.html is listed once, from the JSON.
+// Optional quiz-level fields used here: category (default "General"), difficulty (Easy/Medium/Hard)
+// and tags (an array of strings the home page search also looks at).
+const fs = require('fs');
+const path = require('path');
+const QuizCore = require('../quiz-core');
+const { rootDir, getDefaultFiles, readQuizData } = require('./quiz-files');
+
+const catalogFile = path.join(rootDir, 'catalog.json');
+
+// Drop Quizzes/NAME.html when Quizzes/NAME.json is there too
+function preferJson(files) {
+    const jsonFiles = new Set(files.filter(file => file.endsWith('.json')).map(file => file.replace(/\.json$/, '')));
+    return files.filter(file => !(file.endsWith('.html') && jsonFiles.has(file.replace(/\.html$/, ''))));
+}
+
+function getQuizUrl(file) {
+    const relative = path.relative(rootDir, file).split(path.sep).join('/');
+    if (file.endsWith('.json') && relative.startsWith('Quizzes/')) {
+        return `quiz.html?quiz=${encodeURIComponent(path.basename(file, '.json'))}`;
+    }
+    return file.endsWith('.json') ? `quiz.html?quiz=${encodeURIComponent(relative)}` : relative;
+}
+
+function buildEntry(file, quizData) {
+    const types = {};
+    quizData.questions.forEach(question => {
+        types[question.type] = (types[question.type] || 0) + 1;
+    });
+
+    const entry = {
+        id: path.basename(file, path.extname(file)),
+        quizId: QuizCore.getQuizIdFor(quizData), // Key of the quiz's saved sessions and attempt history
+        title: quizData.title,
+        description: quizData.description || '',
+        category: quizData.category || 'General',
+        questions: quizData.questions.length,
+        types,
+        url: getQuizUrl(file),
+        source: path.relative(rootDir, file).split(path.sep).join('/')
+    };
+    if (quizData.difficulty) entry.difficulty = quizData.difficulty;
+    if (quizData.tags?.length) entry.tags = quizData.tags;
+    if (quizData.options?.trackReview === false) entry.trackReview = false; // Left out of "Due today"
+    return entry;
+}
+
+function main() {
+    const checkOnly = process.argv.includes('--check');
+    const quizzes = [];
+    let failed = false;
+
+    preferJson(getDefaultFiles()).forEach(file => {
+        const label = path.relative(process.cwd(), file);
+        try {
+            const quizData = readQuizData(file);
+            if (!Array.isArray(quizData.questions)) throw new Error('it has no questions array');
+            quizzes.push(buildEntry(file, quizData));
+        } catch (e) {
+            console.error(`✗ ${label}: ${e.message}`);
+            failed = true;
+        }
+    });
+
+    const catalog = `${JSON.stringify({ quizzes }, null, 4)}\n`;
+    const current = fs.existsSync(catalogFile) ? fs.readFileSync(catalogFile, 'utf8') : '';
+
+    if (checkOnly) {
+        const upToDate = current === catalog;
+        console.log(upToDate ? '✓ catalog.json is up to date' : '✗ catalog.json is out of date, run node tools/build-catalog.js');
+        process.exitCode = upToDate && !failed ? 0 : 1;
+        return;
+    }
+
+    fs.writeFileSync(catalogFile, catalog);
+    console.log(`Wrote catalog.json with ${quizzes.length} quiz(zes)`);
+    process.exitCode = failed ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+// Convert question banks to and from quizData.
+//
+//   node tools/convert-quiz.js bank.gift                       GIFT -> quizData JSON (printed)
+//   node tools/convert-quiz.js bank.txt -o Quizzes/bank.json   Aiken -> quizData JSON file
+//   node tools/convert-quiz.js cards.csv --title "Flashcards"  CSV (layout in quiz-converters.js) -> quizData JSON
+//   node tools/convert-quiz.js Quizzes/MQ1OS.json --to gift    quizData -> GIFT
+//   node tools/convert-quiz.js Quizzes/MQ1OS.json --to qti -o mq1os.xml
+//
+// The input format comes from the extension (.gift, .txt = Aiken, .csv, .json); --from overrides it.
+// Anything that couldn't be converted is listed on stderr; exits with status 1 when nothing was converted.
+const fs = require('fs');
+const path = require('path');
+const QuizConverter = require('../quiz-converters');
+const QuizValidator = require('../quiz-validator');
+
+const importers = { gift: 'fromGift', aiken: 'fromAiken', csv: 'fromCsv' };
+const extensions = { '.gift': 'gift', '.txt': 'aiken', '.csv': 'csv', '.json': 'json' };
+
+function parseArgs(argv) {
+    const args = { input: null, from: null, to: null, output: null, title: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--from') args.from = argv[++i];
+        else if (arg === '--to') args.to = argv[++i];
+        else if (arg === '-o' || arg === '--output') args.output = argv[++i];
+        else if (arg === '--title') args.title = argv[++i];
+        else if (!args.input) args.input = arg;
+        else throw new Error(`Unexpected argument "${arg}"`);
+    }
+    if (!args.input) throw new Error('Usage: node tools/convert-quiz.js <file> [--from gift|aiken|csv] [--to json|gift|qti] [-o output] [--title "Quiz title"]');
+    return args;
+}
+
+function printReport(report) {
+    report.forEach(entry => {
+        const where = entry.line === null ? '' : `line ${entry.line}: `;
+        const snippet = entry.text ? ` (${entry.text})` : '';
+        console.error(`    ${entry.skipped ? 'skipped' : 'note   '}  ${where}${entry.message}${snippet}`);
+    });
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const from = args.from || extensions[path.extname(args.input).toLowerCase()];
+    const to = args.to || (from === 'json' ? null : 'json');
+    const source = fs.readFileSync(args.input, 'utf8');
+    const converter = new QuizConverter();
+
+    if (!from || (from !== 'json' && !importers[from])) {
+        throw new Error(`Can't tell the format of ${args.input}; pass --from gift, aiken or csv`);
+    }
+    if (!['json', 'gift', 'qti'].includes(to)) {
+        throw new Error('Pass --to gift or --to qti to export a quizData JSON file');
+    }
+
+    let quizData;
+    let report = [];
+    if (from === 'json') {
+        quizData = JSON.parse(source);
+    } else {
+        const title = args.title || path.basename(args.input, path.extname(args.input));
+        ({ quizData, report } = converter[importers[from]](source, { title }));
+    }
+
+    let output;
+    let converted = quizData.questions.length;
+    if (to === 'json') {
+        output = `${JSON.stringify(quizData, null, 4)}\n`;
+        // Converted banks should load in the quiz engine as they are
+        new QuizValidator().validate(quizData).errors.forEach(entry => {
+            report.push({ line: null, text: '', message: `Question ${entry.questionIndex}: ${entry.message}`, skipped: false });
+        });
+    } else {
+        const result = to === 'gift' ? converter.toGift(quizData) : converter.toQti(quizData);
+        output = to === 'gift' ? result.text : result.xml;
+        report = result.report;
+        converted -= report.filter(entry => entry.skipped).length;
+    }
+
+    if (args.output) {
+        fs.writeFileSync(args.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+
+    const skipped = report.filter(entry => entry.skipped).length;
+    console.error(`${converted} question(s) converted, ${skipped} skipped${args.output ? ` -> ${args.output}` : ''}`);
+    printReport(report);
+    process.exitCode = converted > 0 ? 0 : 1;
+}
+
+try {
+    main();
+} catch (e) {
+    console.error(e.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,33 @@
+// Shared by the tools/ scripts: finding quiz files and reading quizData out of them
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const rootDir = path.resolve(__dirname, '..');
+
+// Every quiz in Quizzes/ plus the feature demo template
+function getDefaultFiles() {
+    const quizDir = path.join(rootDir, 'Quizzes');
+    const quizFiles = fs.readdirSync(quizDir)
+        .filter(file => /\.(json|html)$/.test(file))
+        .sort()
+        .map(file => path.join(quizDir, file));
+    return [...quizFiles, path.join(rootDir, 'Prompts', 'quiz-template.html')];
+}
+
+// JSON quizzes parse directly; inline quizzes are the `const quizData = {...}` object in an HTML page
+function readQuizData(file) {
+    const source = fs.readFileSync(file, 'utf8');
+    if (file.endsWith('.json')) {
+        return JSON.parse(source);
+    }
+
+    const match = source.match(/const\s+quizData\s*=\s*(\{[\s\S]*?\n\s*\});/);
+    if (!match) {
+        throw new Error('No inline "const quizData = {...};" found');
+    }
+    // Evaluated in an empty sandbox: the object literal may use comments, trailing commas and unquoted keys
+    return vm.runInNewContext(`(${match[1]})`, {}, { timeout: 1000 });
+}
+
+module.exports = { rootDir, getDefaultFiles, readQuizData };
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+// Validate quiz files from the command line.
+//
+//   node tools/validate-quizzes.js                   checks Quizzes/ and Prompts/quiz-template.html
+//   node tools/validate-quizzes.js path/to/quiz.json checks just the given .json/.html files
+//
+// Exits with status 1 when any file has errors, so it can gate a commit or CI job.
+const path = require('path');
+const QuizValidator = require('../quiz-validator');
+const { getDefaultFiles, readQuizData } = require('./quiz-files');
+
+function formatEntry(entry) {
+    return entry.questionIndex === null ? entry.message : `Question ${entry.questionIndex}: ${entry.message}`;
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const files = args.length > 0 ? args.map(file => path.resolve(file)) : getDefaultFiles();
+    const validator = new QuizValidator();
+    let errorCount = 0;
+    let warningCount = 0;
+
+    files.forEach(file => {
+        const label = path.relative(process.cwd(), file);
+        let result;
+        try {
+            result = validator.validate(readQuizData(file));
+        } catch (e) {
+            result = { errors: [{ questionIndex: null, message: `Could not read quiz: ${e.message}` }], warnings: [] };
+        }
+
+        errorCount += result.errors.length;
+        warningCount += result.warnings.length;
+
+        if (result.errors.length === 0 && result.warnings.length === 0) {
+            console.log(`✓ ${label}`);
+            return;
+        }
+        console.log(`${result.errors.length > 0 ? '✗' : '⚠'} ${label}`);
+        result.errors.forEach(entry => console.log(`    error    ${formatEntry(entry)}`));
+        result.warnings.forEach(entry => console.log(`    warning  ${formatEntry(entry)}`));
+    });
+
+    console.log(`\n${errorCount} error(s), ${warningCount} warning(s) in ${files.length} file(s)`);
+    process.exitCode = errorCount > 0 ? 1 : 0;
+}
+
+main();